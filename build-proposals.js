@@ -0,0 +1,190 @@
+// Builds the Proposals table from files instead of the spreadsheet: Swappa report exports + a Reusely
+// catalog in, Proposals CSV/JSON out (same columns as the "Proposals" tab, statuses end in DRY-RUN).
+// Runs the same steps as the Apps Script menu (pricing-core.js); current prices come from the
+// catalog's price columns (Brand New, Flawless, Good, Fair, Broken, or as set by --conditions).
+//
+//   node build-proposals.js --report "Unlocked=Report_Unlocked_AllGB.csv" --report "AT&T=Report_ATT_AllGB.csv" \
+//     --catalog Reusely_Catalog.csv --out proposals.csv
+//
+//   --report Carrier=file   repeatable; CSV or JSON (array of rows) laid out like a report tab
+//                           (title row, header row, data). Add ":legacy" after the carrier to ignore Storage.
+//   --catalog file          Reusely_Catalog export (CSV, or JSON array of rows / objects)
+//   --out file              .json writes objects keyed by column, anything else CSV; default stdout (CSV)
+//   --rules file            optional Pricing_Rules export
+//   --limits file           optional Price_Limits export
+//   --aliases file          optional Model_Aliases export
+//   --conditions file       optional Conditions export (Condition, Reusely Name, Catalog Column, Aliases),
+//                           also CONDITIONS_FILE; extra / renamed grades
+//   --carriers file         optional Carriers export (Name, Aliases, ...); default Unlocked/AT&T/T-Mobile/Verizon
+//   --unmatched file        optional; writes report rows with no catalog match + fuzzy candidates (CSV/JSON)
+//   --quarantine file       optional; writes rows flagged by the anomaly checks with the reason (CSV/JSON)
+//   --history file          optional Report_History archive (CSV/JSON, created if missing): earlier snapshots
+//                           feed the Trend column and damping; this run's Rank/Δ are appended to it
+//   --summary file          optional; writes the Run_Summary table (status counts, $ moves, biggest movers)
+//                           per carrier/condition (CSV/JSON; the "(prev)" columns stay blank)
+//   --run-id ID             RunId column (default: yyyyMMdd-HHmmss now)
+//
+// Env overrides: MAX_CHANGE_PER_RUN_USD, MAX_CHANGE_PER_RUN_PCT, GUARDRAIL_MODE (clamp|hold),
+// CONDITION_LADDER_MIN_GAP (0 = off), CONSISTENCY_FIX=1, ANOMALY_MAX_DELTA_RATIO, ANOMALY_MAX_REPORT_AGE_HOURS (0 = off),
+// DAMPING_MODE (off|snapshots|hours), DAMPING_SNAPSHOTS, DAMPING_HOURS, REPORT_HISTORY_KEEP_DAYS (default 60).
+
+const fs = require('fs');
+const path = require('path');
+const {
+  PROPOSALS_HEADER, PROPOSAL_DEFAULTS, GUARDRAIL_DEFAULTS, ANOMALY_DEFAULTS, QUARANTINE_HEADER,
+  REPORT_HISTORY_HEADER, DAMPING_DEFAULTS, pruneReportHistory_, RUN_SUMMARY_HEADER, summarizeProposals_,
+  planProposals_, parsePricingRules_, parsePriceLimits_, parseModelAliases_, parseCarriers_, setCarriers_,
+  parseConditionTaxonomy_, setConditionTaxonomy_,
+  toCsv_, parseCsv_,
+} = require('./pricing-core');
+
+function argValues(name) {
+  const args = process.argv.slice(2);
+  const out = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) out.push(args[++i] || '');
+    else if (args[i].startsWith(`--${name}=`)) out.push(args[i].slice(name.length + 3));
+  }
+  return out;
+}
+
+function argValue(name) {
+  const all = argValues(name);
+  return all.length ? all[all.length - 1] : null;
+}
+
+function envNumber(name, fallback) {
+  const v = process.env[name];
+  return v == null || v === '' || isNaN(Number(v)) ? fallback : Number(v);
+}
+
+// Rows (arrays) from a CSV file, or from a JSON array of rows / of objects (keys become the header)
+function readRows(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() !== '.json') return parseCsv_(text);
+
+  const json = JSON.parse(text);
+  if (!Array.isArray(json)) throw new Error(`${file}: expected a JSON array`);
+  if (!json.length || Array.isArray(json[0])) return json;
+  const header = Object.keys(json[0]);
+  return [header].concat(json.map(o => header.map(h => (o[h] == null ? '' : o[h]))));
+}
+
+function writeRows(file, header, rows) {
+  if (path.extname(file).toLowerCase() === '.json') {
+    const objects = rows.map(r => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+    fs.writeFileSync(file, JSON.stringify(objects, null, 2) + '\n');
+  } else {
+    fs.writeFileSync(file, toCsv_([header].concat(rows)));
+  }
+}
+
+function parseReportSpec(spec) {
+  const eq = spec.indexOf('=');
+  if (eq <= 0) throw new Error(`--report expects Carrier=file, got "${spec}"`);
+  const [carrier, mode] = spec.slice(0, eq).split(':');
+  return { carrier: carrier.trim(), storageFromReport: mode !== 'legacy', file: spec.slice(eq + 1) };
+}
+
+// Local-time When ("yyyy-MM-dd HH:mm:ss") and RunId ("yyyyMMdd-HHmmss"), as the Apps Script writes them
+function timestamps(d) {
+  const p = n => String(n).padStart(2, '0');
+  const date = [d.getFullYear(), p(d.getMonth() + 1), p(d.getDate())];
+  const time = [p(d.getHours()), p(d.getMinutes()), p(d.getSeconds())];
+  return { when: `${date.join('-')} ${time.join(':')}`, runId: `${date.join('')}-${time.join('')}` };
+}
+
+function main() {
+  const reportSpecs = argValues('report').map(parseReportSpec);
+  const catalogFile = argValue('catalog');
+  if (!reportSpecs.length || !catalogFile) {
+    console.error('❌ Usage: node build-proposals.js --report Carrier=file [--report ...] --catalog file [--out file]');
+    process.exit(1);
+  }
+
+  const optional = (flag, parse) => (argValue(flag) ? parse(readRows(argValue(flag)), argValue(flag)) : null);
+  setCarriers_(optional('carriers', parseCarriers_)); // before the parsers below normalize carrier names
+  const conditionsFile = argValue('conditions') || process.env.CONDITIONS_FILE;
+  setConditionTaxonomy_(conditionsFile ? parseConditionTaxonomy_(readRows(conditionsFile), conditionsFile) : null);
+  const now = timestamps(new Date());
+  const guardrails = {
+    maxChangeUsd: envNumber('MAX_CHANGE_PER_RUN_USD', GUARDRAIL_DEFAULTS.maxChangeUsd),
+    maxChangePct: envNumber('MAX_CHANGE_PER_RUN_PCT', GUARDRAIL_DEFAULTS.maxChangePct),
+    mode: process.env.GUARDRAIL_MODE || GUARDRAIL_DEFAULTS.mode,
+  };
+
+  const historyFile = argValue('history');
+  const history = historyFile && fs.existsSync(historyFile)
+    ? pruneReportHistory_(readRows(historyFile), envNumber('REPORT_HISTORY_KEEP_DAYS', 60), new Date()).values
+    : [REPORT_HISTORY_HEADER];
+
+  const { rows, unmatched, quarantine, snapshots } = planProposals_(
+    reportSpecs.map(r => ({ carrier: r.carrier, storageFromReport: r.storageFromReport, values: readRows(r.file) })),
+    readRows(catalogFile),
+    {
+      rules: optional('rules', parsePricingRules_) || [],
+      limits: optional('limits', parsePriceLimits_) || {},
+      aliases: optional('aliases', parseModelAliases_) || {},
+      guardrails,
+      ladderGap: envNumber('CONDITION_LADDER_MIN_GAP', PROPOSAL_DEFAULTS.ladderGap),
+      consistency: Object.assign({}, PROPOSAL_DEFAULTS.consistency, { fix: process.env.CONSISTENCY_FIX === '1' }),
+      anomalies: {
+        maxDeltaRatio: envNumber('ANOMALY_MAX_DELTA_RATIO', ANOMALY_DEFAULTS.maxDeltaRatio),
+        maxReportAgeHours: envNumber('ANOMALY_MAX_REPORT_AGE_HOURS', ANOMALY_DEFAULTS.maxReportAgeHours),
+      },
+      reportHistory: historyFile ? history : null,
+      damping: {
+        mode: process.env.DAMPING_MODE || DAMPING_DEFAULTS.mode,
+        snapshots: envNumber('DAMPING_SNAPSHOTS', DAMPING_DEFAULTS.snapshots),
+        hours: envNumber('DAMPING_HOURS', DAMPING_DEFAULTS.hours),
+      },
+      when: now.when,
+      runId: argValue('run-id') || now.runId,
+    }
+  );
+
+  const out = argValue('out');
+  if (out) writeRows(out, PROPOSALS_HEADER, rows);
+  else process.stdout.write(toCsv_([PROPOSALS_HEADER].concat(rows)));
+
+  const unmatchedFile = argValue('unmatched');
+  if (unmatchedFile) {
+    const n = PROPOSAL_DEFAULTS.unmatchedCandidates;
+    const header = ['Carrier', 'Model', 'Storage'];
+    for (let i = 1; i <= n; i++) header.push(`Candidate ${i}`, `Score ${i}`);
+    writeRows(unmatchedFile, header, unmatched.map(u => {
+      const row = [u.carrier, u.model, u.storage];
+      for (let i = 0; i < n; i++) {
+        row.push(u.candidates[i] ? u.candidates[i].model : '', u.candidates[i] ? Math.round(u.candidates[i].score * 100) / 100 : '');
+      }
+      return row;
+    }));
+  }
+
+  if (historyFile) {
+    // keep the archive's own column order
+    const header = history[0].map(h => String(h).trim());
+    const appended = snapshots.map(r => header.map(h => (REPORT_HISTORY_HEADER.includes(h) ? r[REPORT_HISTORY_HEADER.indexOf(h)] : '')));
+    writeRows(historyFile, header, history.slice(1).concat(appended));
+  }
+
+  const quarantineFile = argValue('quarantine');
+  if (quarantineFile) writeRows(quarantineFile, QUARANTINE_HEADER, quarantine);
+
+  const summaryFile = argValue('summary');
+  if (summaryFile) writeRows(summaryFile, RUN_SUMMARY_HEADER, summarizeProposals_([PROPOSALS_HEADER].concat(rows)).rows);
+
+  const priced = rows.filter(r => r[PROPOSALS_HEADER.indexOf('ProposedPrice')] !== '').length;
+  console.error(`Built ${rows.length} proposal row(s), ${priced} with a price, ${unmatched.length} unmatched model(s), ${quarantine.length} quarantined${out ? ` → ${out}` : ''}.`);
+}
+
+module.exports = { readRows, writeRows };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,191 @@
+// Local stand-in for the Reusely API, for exercising the apply paths without touching the real tenant.
+// Backed by a JSON fixture ({ tenantId, secretKey, conditions?, products: [{ product_id, product_name, network_name,
+// size_name, pricing: [{ name, price }] }] }); POSTed prices are kept in memory for the server's lifetime.
+// conditions = the tenant's pricing names; default: the Reusely names of the active condition taxonomy.
+//
+//   node mock-reusely-server.js [--port 8787] [--fixture test/fixtures/reusely-tenant.json]
+//   REUSELY_BASE_URL=http://127.0.0.1:8787 REUSELY_TENANT_ID=tenant-test REUSELY_SECRET_KEY=secret-test node push-prices.js ...
+// Apps Script (putPrice_, getCurrentPriceViaApi_, refreshCatalogFromApi) can't reach localhost: expose the
+// port through a tunnel and set REUSELY_BASE_URL / tenant / secret via "Set Secrets & Endpoints".
+//
+// Endpoints (x-tenant-id / x-secret-key must match the fixture, else 401):
+//   GET  /api/v2/admin/products/{productId}/pricing   → { data: { product_id, pricing: [{ name, price, is_custom_price }] } }
+//   POST /api/v2/admin/pricing                        { product_id, conditions: [{ name, price, is_custom_price }] }
+//   GET  /v1/products?limit=N&page=P                  → { items, current_page, last_page, next_page_url }
+// Test controls (no auth):
+//   POST /__mock/faults   { method?, path?, status, times?, retryAfter?, body? } – the next `times` (default 1)
+//                         matching requests get `status` instead of being served (4xx/5xx/429 injection)
+//   GET  /__mock/state    → { products, requests }
+//   POST /__mock/reset    restores the fixture prices and clears faults + request log
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { CONDITION_TO_REUSELY } = require('./pricing-core');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'test', 'fixtures', 'reusely-tenant.json');
+
+function json(res, status, body, headers) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => (data += chunk));
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// Returns a list of problems with a POST /api/v2/admin/pricing body ([] when valid)
+function validatePricingPayload(body, products, pricingNames) {
+  const names = pricingNames || Object.values(CONDITION_TO_REUSELY);
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['body must be a JSON object'];
+  if (!Number.isInteger(body.product_id)) errors.push('product_id must be an integer');
+  else if (!products[body.product_id]) errors.push(`unknown product_id ${body.product_id}`);
+  if (!Array.isArray(body.conditions) || !body.conditions.length) {
+    errors.push('conditions must be a non-empty array');
+    return errors;
+  }
+  body.conditions.forEach((c, i) => {
+    if (!c || typeof c !== 'object') { errors.push(`conditions[${i}] must be an object`); return; }
+    if (!names.includes(c.name)) errors.push(`conditions[${i}].name "${c.name}" is not one of ${names.join(', ')}`);
+    if (typeof c.price !== 'number' || !isFinite(c.price) || c.price < 0) errors.push(`conditions[${i}].price must be a number ≥ 0`);
+    if (c.is_custom_price !== undefined && c.is_custom_price !== 0 && c.is_custom_price !== 1) errors.push(`conditions[${i}].is_custom_price must be 0 or 1`);
+  });
+  return errors;
+}
+
+// Resolves { url, state, requests, injectFault(fault), reset(), close() } once listening.
+// opts = { fixture (object or file path), port (0 = any free port), host }
+function startMockServer(opts) {
+  const o = Object.assign({ fixture: DEFAULT_FIXTURE, port: 0, host: '127.0.0.1' }, opts);
+  const source = typeof o.fixture === 'string' ? JSON.parse(fs.readFileSync(o.fixture, 'utf8')) : o.fixture;
+
+  const mock = { state: null, requests: [], faults: [] };
+  mock.reset = () => {
+    mock.state = { products: {} };
+    for (const p of JSON.parse(JSON.stringify(source.products || []))) mock.state.products[p.product_id] = p;
+    mock.requests.length = 0;
+    mock.faults.length = 0;
+  };
+  mock.injectFault = fault => mock.faults.push(Object.assign({ times: 1 }, fault));
+  mock.reset();
+
+  const takeFault = (method, pathname) => {
+    const f = mock.faults.find(x =>
+      (!x.method || x.method.toUpperCase() === method) && (!x.path || pathname.includes(x.path)));
+    if (!f) return null;
+    if (--f.times <= 0) mock.faults.splice(mock.faults.indexOf(f), 1);
+    return f;
+  };
+
+  const pricingOf = p => p.pricing.map(x => ({ name: x.name, price: x.price, is_custom_price: x.is_custom_price || 0 }));
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const raw = await readBody(req);
+
+    if (url.pathname.startsWith('/__mock/')) {
+      if (req.method === 'POST' && url.pathname === '/__mock/faults') { mock.injectFault(JSON.parse(raw || '{}')); return json(res, 200, { ok: true }); }
+      if (req.method === 'POST' && url.pathname === '/__mock/reset') { mock.reset(); return json(res, 200, { ok: true }); }
+      if (req.method === 'GET' && url.pathname === '/__mock/state') return json(res, 200, { products: mock.state.products, requests: mock.requests });
+      return json(res, 404, { message: 'Unknown mock control' });
+    }
+
+    let body = null;
+    try { body = raw ? JSON.parse(raw) : null; } catch (e) { body = raw; }
+    mock.requests.push({ method: req.method, path: url.pathname + url.search, headers: req.headers, body });
+
+    if (req.headers['x-tenant-id'] !== source.tenantId || req.headers['x-secret-key'] !== source.secretKey) {
+      return json(res, 401, { message: 'Invalid tenant or secret key' });
+    }
+
+    const fault = takeFault(req.method, url.pathname);
+    if (fault) {
+      return json(res, fault.status, fault.body || { message: `Injected ${fault.status}` },
+        fault.retryAfter != null ? { 'Retry-After': String(fault.retryAfter) } : {});
+    }
+
+    const pricingMatch = url.pathname.match(/^\/api\/v2\/admin\/products\/([^/]+)\/pricing$/);
+    if (req.method === 'GET' && pricingMatch) {
+      const p = mock.state.products[decodeURIComponent(pricingMatch[1])];
+      if (!p) return json(res, 404, { message: 'Product not found' });
+      return json(res, 200, { data: { product_id: p.product_id, pricing: pricingOf(p) } });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/v2/admin/pricing') {
+      if (typeof body !== 'object' || body == null) return json(res, 400, { message: 'Body must be JSON' });
+      const errors = validatePricingPayload(body, mock.state.products, source.conditions);
+      if (errors.length) return json(res, 422, { message: 'Validation failed', errors });
+
+      const p = mock.state.products[body.product_id];
+      for (const c of body.conditions) {
+        const existing = p.pricing.find(x => x.name === c.name);
+        if (existing) Object.assign(existing, { price: c.price, is_custom_price: c.is_custom_price || 0 });
+        else p.pricing.push({ name: c.name, price: c.price, is_custom_price: c.is_custom_price || 0 });
+      }
+      return json(res, 200, { success: true, data: { product_id: p.product_id, pricing: pricingOf(p) } });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/v1/products') {
+      const all = Object.values(mock.state.products);
+      const limit = Math.max(1, Number(url.searchParams.get('limit')) || all.length || 1);
+      const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+      const lastPage = Math.max(1, Math.ceil(all.length / limit));
+      const items = all.slice((page - 1) * limit, page * limit)
+        .map(({ product_id, product_name, network_name, size_name }) => ({ product_id, product_name, network_name, size_name }));
+      return json(res, 200, {
+        items,
+        current_page: page,
+        last_page: lastPage,
+        next_page_url: page < lastPage ? `/v1/products?limit=${limit}&page=${page + 1}` : null,
+      });
+    }
+
+    return json(res, 404, { message: `No route for ${req.method} ${url.pathname}` });
+  };
+
+  // Malformed input (bad JSON on a mock control, bad %-encoding in a path) is the client's fault, not a crash
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handle(req, res);
+    } catch (e) {
+      if (res.headersSent) return res.end();
+      json(res, 400, { message: `Bad request: ${e.message}` });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(o.port, o.host, () => {
+      const { port } = server.address();
+      resolve(Object.assign(mock, {
+        url: `http://${o.host}:${port}`,
+        tenantId: source.tenantId,
+        secretKey: source.secretKey,
+        close: () => new Promise(res => server.close(() => res())),
+      }));
+    });
+  });
+}
+
+module.exports = { startMockServer, validatePricingPayload };
+
+if (require.main === module) {
+  const arg = name => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i >= 0 ? process.argv[i + 1] : null;
+  };
+  startMockServer({ port: Number(arg('port') || 8787), fixture: arg('fixture') || DEFAULT_FIXTURE })
+    .then(mock => {
+      console.log(`Mock Reusely API on ${mock.url} (tenant ${mock.tenantId}, secret ${mock.secretKey}). Ctrl+C to stop.`);
+    })
+    .catch(err => {
+      console.error('Mock server failed:', err.message);
+      process.exit(1);
+    });
+}
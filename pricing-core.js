@@ -0,0 +1,1302 @@
+/******************************************************
+ * Reusely – pricing core (pure logic, no Apps Script services)
+ * - Loaded by Apps Script (as a project file next to reusely-pricing.js)
+ *   and by Node (require("./pricing-core")) – keep it free of
+ *   SpreadsheetApp / PropertiesService / UrlFetchApp
+ * - Condition taxonomy (Conditions tab / file) – the only Swappa ↔ Reusely grade mapping
+ * - Carrier config (Carriers tab / file) + normalization, catalog/report matching
+ * - Pricing rules, strategies and computeNewPrice_
+ * - Guardrails, condition ladder, storage/carrier consistency
+ * - Anomaly checks on report data (quarantine)
+ * - Report snapshot history: trend per proposal + optional damping of one-off moves
+ * - Rule simulation: replay the history under current vs candidate Pricing_Rules
+ * - Run summary: per carrier/condition status counts, $ movement and biggest movers vs the previous run
+ * - Proposal pipeline (planProposals_) + CSV read/write for the Node CLI
+ * - Tests: node --test test/*.test.js
+ ******************************************************/
+
+/////////////////////// CONDITIONS ///////////////////////
+
+const COL_MODEL   = "Model";
+const COL_STORAGE = "Storage";
+
+// Condition taxonomy, best grade first (the condition ladder order):
+//   key     – Swappa report grade ("<key> Rank" / "<key> Δ" columns) and the Proposals Condition
+//   reusely – Reusely v2 pricing condition name
+//   catalog – Reusely_Catalog / changed-CSV price column
+//   aliases – other spellings accepted when reading prices back (lower-case)
+// Built-in default; the Conditions tab (Apps Script) or --conditions file (Node) replaces it via setConditionTaxonomy_.
+const DEFAULT_CONDITION_TAXONOMY = [
+  { key: "New",    reusely: "Brand New", catalog: "Brand New", aliases: ["new"] },
+  { key: "Mint",   reusely: "Flawless",  catalog: "Flawless",  aliases: ["mint"] },
+  { key: "Good",   reusely: "Good",      catalog: "Good",      aliases: [] },
+  { key: "Fair",   reusely: "Fair",      catalog: "Fair",      aliases: [] },
+  { key: "Broken", reusely: "Broken",    catalog: "Broken",    aliases: [] },
+];
+
+// Active taxonomy and the lookups derived from it (updated in place by setConditionTaxonomy_)
+const CONDITION_TAXONOMY = [];
+const CONDITIONS = [];               // keys in ladder order
+const PRICE_COLS_IN_CATALOG = {};    // key → catalog price column
+const CONDITION_TO_REUSELY = {};     // key → Reusely pricing name
+
+function setConditionTaxonomy_(list){
+  const specs = list && list.length ? list : DEFAULT_CONDITION_TAXONOMY;
+  CONDITION_TAXONOMY.splice(0, CONDITION_TAXONOMY.length, ...specs);
+  CONDITIONS.splice(0, CONDITIONS.length, ...specs.map(c=>c.key));
+  [PRICE_COLS_IN_CATALOG, CONDITION_TO_REUSELY].forEach(m=>Object.keys(m).forEach(k=>delete m[k]));
+  specs.forEach(c=>{ PRICE_COLS_IN_CATALOG[c.key] = c.catalog; CONDITION_TO_REUSELY[c.key] = c.reusely; });
+  return CONDITION_TAXONOMY;
+}
+setConditionTaxonomy_(DEFAULT_CONDITION_TAXONOMY);
+
+// Condition key for a key, Reusely name, catalog column or alias (any case); null when unknown
+function conditionKeyFor_(name){
+  const n = String(name||"").trim().toLowerCase();
+  if (!n) return null;
+  for (const c of CONDITION_TAXONOMY){
+    if ([c.key, c.reusely, c.catalog].concat(c.aliases||[]).some(x=>String(x||"").toLowerCase()===n)) return c.key;
+  }
+  return null;
+}
+
+// values = Conditions tab/CSV rows, best grade first: Condition | Reusely Name | Catalog Column | Aliases
+// Blank Reusely Name = the Condition; blank Catalog Column = the Reusely Name; Aliases comma/semicolon separated.
+function parseConditionTaxonomy_(values, sheetName){
+  const where = sheetName || "Conditions";
+  if (!values || values.length < 2) return [];
+  const col = _titleRowToIndex(values[0]);
+  if (col["Condition"]==null) throw new Error(`${where} missing column: Condition`);
+  const cell = (r, name)=> col[name]==null ? "" : _norm(r[col[name]]);
+
+  const out = [];
+  for (let i=1; i<values.length; i++){
+    const r = values[i];
+    const key = cell(r,"Condition");
+    if (!key) continue;
+    if (out.some(c=>c.key.toLowerCase()===key.toLowerCase())) throw new Error(`${where} row ${i+1}: duplicate condition "${key}"`);
+    const reusely = cell(r,"Reusely Name") || key;
+    out.push({
+      key,
+      reusely,
+      catalog: cell(r,"Catalog Column") || reusely,
+      aliases: cell(r,"Aliases").split(/[,;]/).map(a=>a.trim().toLowerCase()).filter(Boolean),
+    });
+  }
+  return out;
+}
+
+/////////////////////// CARRIERS ///////////////////////
+
+// Built-in carriers, used when there is no Carriers tab (Apps Script) or --carriers file (Node).
+// Aliases are lower-case substrings of network / carrier names; the name itself always matches.
+const DEFAULT_CARRIERS = [
+  { name: "Unlocked", aliases: [],          tabAll: "Report_Unlocked_AllGB", tabLegacy: "Report_Unlocked", enabled: true },
+  { name: "AT&T",     aliases: ["att"],     tabAll: "Report_ATT_AllGB",      tabLegacy: "Report_ATT",      enabled: true },
+  { name: "T-Mobile", aliases: ["tmobile"], tabAll: "Report_TMobile_AllGB",  tabLegacy: "Report_TMobile",  enabled: true },
+  { name: "Verizon",  aliases: [],          tabAll: "Report_Verizon_AllGB",  tabLegacy: "Report_Verizon",  enabled: true },
+];
+
+// Active carrier list (first matching entry wins in _normalizeCarrier); replace it with setCarriers_
+const CARRIERS = DEFAULT_CARRIERS.slice();
+
+function setCarriers_(list){
+  CARRIERS.splice(0, CARRIERS.length, ...(list && list.length ? list : DEFAULT_CARRIERS));
+  return CARRIERS;
+}
+
+// values = Carriers tab/CSV rows: Name | Aliases | AllGB Tab | Legacy Tab | Enabled
+// Aliases are comma/semicolon separated; blank tabs default to Report_<Name>_AllGB / Report_<Name>
+// (name without spaces or punctuation); Enabled blank = yes, "no"/"false"/"0" = no.
+function parseCarriers_(values, sheetName){
+  const where = sheetName || "Carriers";
+  if (!values || values.length < 2) return [];
+  const col = _titleRowToIndex(values[0]);
+  if (col["Name"]==null) throw new Error(`${where} missing column: Name`);
+  const cell = (r, name)=> col[name]==null ? "" : _norm(r[col[name]]);
+
+  const out = [];
+  for (let i=1; i<values.length; i++){
+    const r = values[i];
+    const name = cell(r,"Name");
+    if (!name) continue;
+    const tabKey = name.replace(/[^A-Za-z0-9]/g,"");
+    const aliases = cell(r,"Aliases").split(/[,;]/).map(a=>a.trim().toLowerCase()).filter(Boolean);
+    const enabledRaw = cell(r,"Enabled").toLowerCase();
+    out.push({
+      name,
+      aliases,
+      tabAll: cell(r,"AllGB Tab") || `Report_${tabKey}_AllGB`,
+      tabLegacy: cell(r,"Legacy Tab") || `Report_${tabKey}`,
+      enabled: ["no","false","0","n","off"].indexOf(enabledRaw)<0,
+    });
+  }
+  return out;
+}
+
+/////////////////////// PRICING DEFAULTS ///////////////////////
+
+// Built-in defaults; Pricing_Rules rows can override per segment
+const PRICE_BUMP_ABOVE_SECOND = 1;
+const TRIM_LEAD_THRESHOLD = 5.0;
+const NEW_UNDERCUT_LEADER_BY = 20;
+
+const DEFAULT_STRATEGY = "chase_leader";
+
+const GUARDRAIL_DEFAULTS = { maxChangeUsd: 50, maxChangePct: 20, mode: "clamp" };
+
+/////////////////////// NORMALIZATION ///////////////////////
+
+function _titleRowToIndex(h) { const m={}; h.forEach((x,i)=>m[String(x).trim()]=i); return m; }
+function _norm(s){ return String(s||"").trim(); }
+function _normalizeCarrier(c){
+  c=String(c||"").toLowerCase();
+  for (const spec of CARRIERS){
+    if (c.includes(spec.name.toLowerCase()) || (spec.aliases||[]).some(a=>a && c.includes(a))) return spec.name;
+  }
+  return c;
+}
+function _numOrNull_(v){ return (v===""||v==null||isNaN(Number(v))) ? null : Number(v); }
+function _gbNormalize(s){ s=String(s||"").toUpperCase().replace(/\s+/g,""); const m=s.match(/(\d+)\s*GB/i); return m?`${m[1]}GB`:s; }
+
+// Normalize SE naming only
+function _cleanCatalogModelName_(s){
+  const x=(s||"").trim().replace(/\s+/g," ");
+  return x
+    .replace(/\bSE \(2(nd)?\s*Gen(.*)?\)/i,"SE (2020)")
+    .replace(/\bSE \(3(rd)?\s*Gen(.*)?\)/i,"SE (2022)")
+    .replace(/\bSE 2(.*)?\b/i,"SE (2020)")
+    .replace(/\bSE 3(.*)?\b/i,"SE (2022)");
+}
+
+// Strip carrier & size from product_name to get model-only
+function _extractModelFromCatalog_(productName, networkName, sizeName){
+  let s = String(productName || "");
+  if (sizeName) {
+    const reSize = new RegExp(String(sizeName).replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&"), "i");
+    s = s.replace(reSize, "");
+  }
+  const carrierTokens = [
+    "Unlocked","AT&T","ATT","T-Mobile","TMobile","Verizon","Cricket","Spectrum","MetroPCS","MetroPcs","Metro",
+    "Straight Talk","TracFone","Other","Sprint"
+  ];
+  if (networkName) {
+    const reNet = new RegExp(String(networkName).replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&"), "i");
+    s = s.replace(reNet, "");
+  }
+  CARRIERS.forEach(spec=>carrierTokens.push(spec.name));
+  carrierTokens.forEach(tok=>{
+    const re = new RegExp(`\\b${tok.replace(/[-/\\^$*+?.()|[\]{}]/g,"\\$&")}\\b`,"i");
+    s = s.replace(re,"");
+  });
+  s = s.replace(/\b\d+\s*GB\b/gi,"");
+  s = s.replace(/\s+/g," ").trim();
+  return _cleanCatalogModelName_(s);
+}
+
+/////////////////////// CATALOG & REPORT PARSING ///////////////////////
+
+// values = catalog sheet/CSV rows including the header row.
+// Returns { idx, priceLookup, modelsByCarrier } keyed by "model|carrier|storage" (strict) and "model|carrier|" (loose).
+function indexCatalogValues_(values){
+  if (!values || values.length < 2) throw new Error("Reusely_Catalog has no data.");
+
+  const header = values[0];
+  const col = _titleRowToIndex(header);
+  ["product_id","product_name","network_name","size_name"].forEach(r=>{
+    if (col[r]==null) throw new Error(`Reusely_Catalog missing required column: ${r}`);
+  });
+
+  const rows = values.slice(1);
+  const idx = {};
+  const modelsByCarrier = {};
+  const priceCols = {};
+  for (const cond of CONDITIONS) {
+    const label = PRICE_COLS_IN_CATALOG[cond];
+    if (label && col[label]!=null) priceCols[cond] = col[label];
+  }
+  const priceLookup = {};
+
+  rows.forEach(r=>{
+    const pid  = _norm(r[col["product_id"]]);
+    const name = _norm(r[col["product_name"]]);
+    const net  = _normalizeCarrier(_norm(r[col["network_name"]]));
+    const size = _gbNormalize(_norm(r[col["size_name"]]));
+    if (!pid || !name || !net) return;
+
+    const modelOnly = _extractModelFromCatalog_(name, net, size);
+    if (!modelOnly) return;
+
+    (modelsByCarrier[net] = modelsByCarrier[net] || {})[modelOnly] = true;
+
+    const keyStrict = `${modelOnly}|${net}|${size}`;
+    idx[keyStrict] = { product_id: pid, model: modelOnly, network_name: net, size_name: size };
+
+    const keyLoose = `${modelOnly}|${net}|`;
+    if (!idx[keyLoose]) idx[keyLoose] = { product_id: pid, model: modelOnly, network_name: net, size_name: size };
+
+    if (Object.keys(priceCols).length) {
+      if (!priceLookup[keyStrict]) priceLookup[keyStrict] = {};
+      for (const cond of CONDITIONS) {
+        const ix = priceCols[cond];
+        if (ix!=null) {
+          const v = Number(r[ix]) || 0;
+          priceLookup[keyStrict][cond] = v;
+        }
+      }
+    }
+  });
+
+  return { idx, priceLookup, modelsByCarrier };
+}
+
+// values = report tab rows; row 1 is a title, row 2 the headers.
+// Returns one { model, storage, condition, rank, delta, row } per model/storage/condition
+// (row = 0-based data row, i.e. sheet row - 3).
+function parseReportValues_(values, tabName){
+  if (!values || values.length < 2) return [];
+
+  const header = values[1]; // row 2 are headers
+  const col = _titleRowToIndex(header);
+  if (col[COL_MODEL]==null) throw new Error(`${tabName} missing column: ${COL_MODEL}`);
+
+  const hasStorage = (col[COL_STORAGE]!=null);
+  const out = [];
+
+  for (let i=2; i<values.length; i++){
+    const row = values[i];
+    const model = _norm(row[col[COL_MODEL]]);
+    if (!model) continue;
+    const storage = hasStorage ? _gbNormalize(_norm(row[col[COL_STORAGE]])) : "";
+
+    for (const cond of CONDITIONS) {
+      const rankLabel = `${cond} Rank`;
+      const dLabel    = `${cond} Δ`;
+      if (col[rankLabel]==null || col[dLabel]==null) continue;
+
+      const rankRaw = row[col[rankLabel]];
+      const dRaw    = row[col[dLabel]];
+      const rank  = (rankRaw===""||rankRaw==null) ? "" : rankRaw;
+      const delta = (dRaw===""||dRaw==null) ? "" : dRaw;
+
+      out.push({ model, storage, condition: cond, rank, delta, row: i-2 });
+    }
+  }
+  return out;
+}
+
+// End (exclusive data row) of a chunk of about `size` rows starting at `start`, pushed past the
+// chunk boundary while the model stays the same, so storage-tier checks see a whole model at once.
+function reportChunkEnd_(records, start, size){
+  const modelAt = {};
+  let last = -1;
+  records.forEach(r=>{ modelAt[r.row] = r.model; if (r.row>last) last = r.row; });
+  let end = start + size;
+  while (end<=last && modelAt[end]!=null && modelAt[end]===modelAt[end-1]) end++;
+  return Math.min(end, last+1);
+}
+
+// Current catalog price for a (catalog) model key, or null
+function getCurrentPriceFromCatalog_(priceLookup, model, carrier, storage, condition){
+  const key = `${_cleanCatalogModelName_(model)}|${carrier}|${storage}`;
+  const rec = priceLookup[key];
+  if (!rec) return null;
+  const v = rec[condition];
+  return (v==null || isNaN(Number(v))) ? null : Number(v);
+}
+
+/////////////////////// MODEL ALIASES & FUZZY MATCH ///////////////////////
+
+// values = Model_Aliases rows incl. header (Report Model | Catalog Model | Carrier).
+// Returns { "<report model lower>|<carrier or blank>": "<catalog model>" }
+function parseModelAliases_(values, sheetName){
+  if (!values || values.length < 2) return {};
+  const col = _titleRowToIndex(values[0]);
+  if (col["Report Model"]==null || col["Catalog Model"]==null) throw new Error(`${sheetName || "Model_Aliases"} needs columns: Report Model, Catalog Model`);
+
+  const out = {};
+  values.slice(1).forEach(r=>{
+    const from = _norm(r[col["Report Model"]]).toLowerCase();
+    const to   = _norm(r[col["Catalog Model"]]);
+    const net  = col["Carrier"]!=null && _norm(r[col["Carrier"]]) ? _normalizeCarrier(_norm(r[col["Carrier"]])) : "";
+    if (from && to) out[`${from}|${net}`] = to;
+  });
+  return out;
+}
+
+// Catalog model key for a report model: carrier-specific alias, then any-carrier alias, then SE cleanup
+function resolveCatalogModel_(aliases, model, carrier){
+  const k = _norm(model).toLowerCase();
+  return (aliases && (aliases[`${k}|${carrier}`] || aliases[`${k}|`])) || _cleanCatalogModelName_(model);
+}
+
+// 0..1: average of the Dice coefficient over character bigrams and the share of the report
+// model's words that appear in the candidate (so "Pixel 7a" prefers "Google Pixel 7a" over "Pixel 7")
+function _similarity_(a, b){
+  const clean = s=>String(s||"").toLowerCase().replace(/[^a-z0-9]+/g," ").trim();
+  const grams = x=>{ const g = {}; for (let i=0;i<x.length-1;i++){ const k=x.substr(i,2); g[k]=(g[k]||0)+1; } return g; };
+  const ca = clean(a), cb = clean(b);
+  const ga = grams(ca), gb = grams(cb);
+  let inter = 0, na = 0, nb = 0;
+  for (const k in ga){ na += ga[k]; if (gb[k]) inter += Math.min(ga[k], gb[k]); }
+  for (const k in gb) nb += gb[k];
+  const dice = (na+nb) ? (2*inter)/(na+nb) : 0;
+
+  const wa = ca ? ca.split(" ") : [], wb = cb.split(" ");
+  const words = wa.length ? wa.filter(w=>wb.indexOf(w)>=0).length / wa.length : 0;
+  return (dice + words) / 2;
+}
+
+function fuzzyCatalogCandidates_(modelsByCarrier, model, carrier, n){
+  return Object.keys(modelsByCarrier[carrier] || {})
+    .map(m=>({ model:m, score:_similarity_(model, m) }))
+    .sort((a,b)=>b.score-a.score)
+    .slice(0, n);
+}
+
+/////////////////////// PRICING RULES ///////////////////////
+
+function defaultPricingRule_(){
+  return { name:"DEFAULT", strategy:DEFAULT_STRATEGY, param:null,
+           bump:PRICE_BUMP_ABOVE_SECOND, trim:TRIM_LEAD_THRESHOLD, undercut:NEW_UNDERCUT_LEADER_BY };
+}
+
+function _globToRegex_(pat){
+  return new RegExp("^" + String(pat).split("*").map(x=>x.replace(/[-/\\^$+?.()|[\]{}]/g,"\\$&")).join(".*") + "$", "i");
+}
+
+// values = Pricing_Rules rows incl. header. Returns rules sorted most specific first.
+function parsePricingRules_(values, sheetName){
+  if (!values || values.length < 2) return [];
+  const col = _titleRowToIndex(values[0]);
+  const cell = (r, name) => col[name]==null ? "" : _norm(r[col[name]]);
+
+  const rules = [];
+  values.slice(1).forEach((r, i)=>{
+    const rule = {
+      name:      cell(r,"Rule") || `${sheetName || "Pricing_Rules"}!${i+2}`,
+      carrier:   cell(r,"Carrier") ? _normalizeCarrier(cell(r,"Carrier")) : "",
+      model:     cell(r,"Model") ? _globToRegex_(cell(r,"Model")) : null,
+      storage:   cell(r,"Storage") ? _gbNormalize(cell(r,"Storage")) : "",
+      condition: cell(r,"Condition"),
+      strategy:  cell(r,"Strategy").toLowerCase(),
+      param:     _numOrNull_(cell(r,"StrategyParam")),
+      bump:      _numOrNull_(cell(r,"PriceBump")),
+      trim:      _numOrNull_(cell(r,"TrimLeadThreshold")),
+      undercut:  _numOrNull_(cell(r,"NewUndercut")),
+    };
+    if (rule.strategy && !PRICING_STRATEGIES[rule.strategy]) throw new Error(`Unknown strategy "${rule.strategy}" in ${rule.name}`);
+    if (rule.strategy==="hold_rank" && rule.param!=null && [1,2].indexOf(rule.param)<0)
+      throw new Error(`hold_rank only supports StrategyParam 1 or 2 (got ${rule.param}) in ${rule.name}`);
+    if (!rule.strategy && rule.bump==null && rule.trim==null && rule.undercut==null) return;
+    rule.specificity = [rule.carrier, rule.model, rule.storage, rule.condition].filter(Boolean).length;
+    rules.push(rule);
+  });
+
+  // Most specific first; sheet order breaks ties
+  return rules.map((r,i)=>({ r, i }))
+    .sort((a,b)=> (b.r.specificity - a.r.specificity) || (a.i - b.i))
+    .map(x=>x.r);
+}
+
+function resolvePricingRule_(rules, carrier, model, storage, condition){
+  const base = defaultPricingRule_();
+  const hit = (rules||[]).find(r=>
+    (!r.carrier   || r.carrier===carrier) &&
+    (!r.model     || r.model.test(model)) &&
+    (!r.storage   || r.storage===storage) &&
+    (!r.condition || r.condition===condition)
+  );
+  if (!hit) return base;
+  return {
+    name:     hit.name,
+    strategy: hit.strategy || base.strategy,
+    param:    hit.param,
+    bump:     hit.bump!=null     ? hit.bump     : base.bump,
+    trim:     hit.trim!=null     ? hit.trim     : base.trim,
+    undercut: hit.undercut!=null ? hit.undercut : base.undercut,
+  };
+}
+
+/////////////////////// PRICE LOGIC ///////////////////////
+
+function computeNewPrice_(current, rank, delta, condition, rule) {
+  const rl = rule || defaultPricingRule_();
+  if (current==null || current==="" || isNaN(Number(current))) return { proposed:"", reason:"NO CURRENT PRICE" };
+  const cur = Number(current);
+  const r = (rank===""||rank==null)?null:Number(rank);
+  const d = (delta===""||delta==null)?null:Number(delta);
+  if (r==null || isNaN(r) || d==null || isNaN(d)) return { proposed:"", reason:"MISSING RANK/Δ" };
+
+  const strategy = PRICING_STRATEGIES[rl.strategy || DEFAULT_STRATEGY];
+  if (!strategy) return { proposed:"", reason:`UNKNOWN STRATEGY ${rl.strategy}` };
+  return strategy({ current:cur, rank:r, delta:d, condition }, rl);
+}
+
+// Every strategy takes ({ current, rank, delta, condition }, rule) and returns { proposed, reason }.
+// current + delta is the leader's price when we're not #1, and the runner-up's when we are.
+const PRICING_STRATEGIES = {
+  // Today's behaviour: chase #1, trim a big lead, New undercuts the leader
+  chase_leader(c, rl){
+    if (c.condition==="New" && rl.undercut>0 && c.rank!==1){
+      const topPrice = c.current + c.delta;
+      const target = Math.max(0, topPrice - rl.undercut);
+      return { proposed: target, reason: `NEW: TOP-$${rl.undercut}` };
+    }
+    if (c.rank!==1) return { proposed: c.current + c.delta + rl.bump, reason:"CHASE #1" };
+    if ((-c.delta)>rl.trim) return { proposed: c.current + c.delta + rl.bump, reason:"TRIM LEAD" };
+    return { proposed: c.current, reason:"NO CHANGE" };
+  },
+
+  // StrategyParam = target rank N (1 or 2). Only the leader/runner-up are known, so a rank-3+ target has
+  // no price to aim at and proposes nothing.
+  hold_rank(c, rl){
+    const target = Math.max(1, Math.round(rl.param || 1));
+    if (target>2) return { proposed:"", reason:`HOLD #${target}: UNSUPPORTED RANK` };
+    if (c.rank===target) return { proposed: c.current, reason:"NO CHANGE" };
+    if (c.rank>target){
+      if (target===1) return { proposed: c.current + c.delta + rl.bump, reason:"HOLD #1: CHASE" };
+      return { proposed: c.current + c.delta - rl.bump, reason:`HOLD #${target}: BELOW LEADER` };
+    }
+    if (c.rank===1) return { proposed: c.current + c.delta - rl.bump, reason:`HOLD #${target}: BELOW RUNNER-UP` };
+    return { proposed: c.current, reason:"NO CHANGE" };
+  },
+
+  match_leader(c){
+    if (c.rank===1) return { proposed: c.current, reason:"NO CHANGE" };
+    return { proposed: c.current + c.delta, reason:"MATCH LEADER" };
+  },
+
+  // StrategyParam = X (%). Stay no more than X% under the leader.
+  within_pct_of_leader(c, rl){
+    if (c.rank===1) return { proposed: c.current, reason:"NO CHANGE" };
+    const pct = rl.param!=null ? rl.param : 5;
+    const minPrice = Math.round((c.current + c.delta) * (1 - pct/100));
+    if (c.current>=minPrice) return { proposed: c.current, reason:"NO CHANGE" };
+    return { proposed: minPrice, reason:`WITHIN ${pct}% OF LEADER` };
+  },
+
+  // Like chase_leader but never lowers a price
+  max_margin(c, rl){
+    const res = PRICING_STRATEGIES.chase_leader(c, rl);
+    if (res.proposed>c.current) return { proposed: res.proposed, reason:`MAX MARGIN: ${res.reason}` };
+    return { proposed: c.current, reason:"NO CHANGE" };
+  },
+};
+
+/////////////////////// GUARDRAILS ///////////////////////
+
+// values = Price_Limits rows incl. header (product_id | Condition | Floor | Ceiling; blank Condition = all).
+// Returns { product_id: { condition or "*": { floor, ceiling } } }
+function parsePriceLimits_(values, sheetName){
+  if (!values || values.length < 2) return {};
+  const col = _titleRowToIndex(values[0]);
+  if (col["product_id"]==null) throw new Error(`${sheetName || "Price_Limits"} missing required column: product_id`);
+
+  const out = {};
+  values.slice(1).forEach(r=>{
+    const pid = _norm(r[col["product_id"]]);
+    if (!pid) return;
+    const cond = col["Condition"]!=null ? _norm(r[col["Condition"]]) : "";
+    if (!out[pid]) out[pid] = {};
+    out[pid][cond || "*"] = {
+      floor:   col["Floor"]!=null   ? _numOrNull_(r[col["Floor"]])   : null,
+      ceiling: col["Ceiling"]!=null ? _numOrNull_(r[col["Ceiling"]]) : null,
+    };
+  });
+  return out;
+}
+
+function _limitFor_(limits, productId, condition){
+  const rec = limits && limits[_norm(productId)];
+  if (!rec) return { floor:null, ceiling:null };
+  return rec[condition] || rec["*"] || { floor:null, ceiling:null };
+}
+
+function _withinLimit_(price, lim){
+  if (lim.floor!=null && price<lim.floor) return false;
+  if (lim.ceiling!=null && price>lim.ceiling) return false;
+  return true;
+}
+
+// Largest move allowed in one run: the smaller of maxUsd and maxPct% of current, in whole dollars,
+// but at least $1 so items under $5 (at 20%) can still move
+function maxChangeFor_(current, maxUsd, maxPct){
+  return Math.max(1, Math.floor(Math.min(maxUsd, current * maxPct / 100)));
+}
+
+// Clamp (or hold) a proposal against max change per run, then floor/ceiling.
+// opts = { maxChangeUsd, maxChangePct, mode: "clamp" | "hold" } (defaults in GUARDRAIL_DEFAULTS).
+// Returns { proposed, note } – note is "" when no guardrail was hit.
+function applyGuardrails_(current, proposed, lim, opts){
+  const o = Object.assign({}, GUARDRAIL_DEFAULTS, opts);
+  if (proposed==="" || proposed==null || isNaN(Number(proposed))) return { proposed, note:"" };
+  let p = Number(proposed);
+  const hits = [];
+
+  const cur = _numOrNull_(current);
+  if (cur!=null && cur>0){
+    const maxMove = maxChangeFor_(cur, o.maxChangeUsd, o.maxChangePct);
+    if (Math.abs(p-cur) > maxMove){ p = cur + Math.sign(p-cur) * maxMove; hits.push(`MAX CHANGE ±$${maxMove}`); }
+  }
+  if (lim.floor!=null && p<lim.floor){ p = lim.floor; hits.push(`FLOOR $${lim.floor}`); }
+  if (lim.ceiling!=null && p>lim.ceiling){ p = lim.ceiling; hits.push(`CEILING $${lim.ceiling}`); }
+
+  if (!hits.length) return { proposed:p, note:"" };
+  if (o.mode==="hold") return { proposed:"", note:`HELD (${hits.join(", ")})` };
+  return { proposed:p, note:`CLAMPED (${hits.join(", ")})` };
+}
+
+/////////////////////// CONDITION LADDER ///////////////////////
+
+// Walks each product's conditions in CONDITIONS order and lowers any grade that isn't
+// at least `gap` below the next better priced grade. Adjustments are noted on the proposal.
+function enforceConditionLadder_(proposals, gap){
+  const groups = {};
+  proposals.forEach(p=>{
+    const key = p.productId ? `${p.carrier}|${p.productId}` : `${p.carrier}|${p.model}|${p.storage}`;
+    (groups[key] = groups[key] || []).push(p);
+  });
+
+  Object.keys(groups).forEach(key=>{
+    const rows = groups[key].slice().sort((a,b)=>CONDITIONS.indexOf(a.condition)-CONDITIONS.indexOf(b.condition));
+    let upper = null;
+    rows.forEach(p=>{
+      const price = p.proposed!=="" ? p.proposed : p.current;
+      if (price==null || price==="") return;
+      if (upper && price > upper.price - gap && p.current!=null){
+        const fixed = Math.max(0, upper.price - gap);
+        p.notes.push(`LADDER: ${p.condition} ≤ ${upper.condition}-$${gap} (was ${price})`);
+        p.proposed = fixed;
+        upper = { condition: p.condition, price: fixed };
+        return;
+      }
+      upper = { condition: p.condition, price: Number(price) };
+    });
+  });
+}
+
+// Returns a description of each inversion (lower grade priced above a better grade).
+// `prices` maps condition → price in ladder `order`; empty/zero prices are ignored.
+function ladderViolations_(prices, order){
+  const out = [];
+  let upper = null;
+  order.forEach(cond=>{
+    const v = Number(prices[cond]);
+    if (!v || isNaN(v)) return;
+    if (upper && v > upper.price) out.push(`${cond} $${v} > ${upper.condition} $${upper.price}`);
+    else upper = { condition: cond, price: v };
+  });
+  return out;
+}
+
+// Guardrails (clamp, hold, floor, ceiling) run after enforceConditionLadder_ and can invert the ladder
+// again, and only Approved rows get applied. Re-checks each product (guarded[i] = guardProposal_ result
+// for proposals[i]) on the prices after apply (Approved → proposed, else current) and on the prices if
+// every proposal went live: every price-moving row of an inverted product gets a LADDER INVERTED
+// status part and is left Pending.
+function recheckConditionLadder_(proposals, guarded){
+  const groups = {};
+  proposals.forEach((p,i)=>{
+    if (!p.productId) return;
+    const key = `${p.carrier}|${p.productId}`;
+    (groups[key] = groups[key] || []).push(i);
+  });
+
+  Object.keys(groups).forEach(key=>{
+    const all = {}, applied = {};
+    groups[key].forEach(i=>{
+      const p = proposals[i], g = guarded[i];
+      all[p.condition] = g.proposed!=="" ? Number(g.proposed) : p.current;
+      applied[p.condition] = g.approval==="Approved" ? Number(g.proposed) : p.current;
+    });
+    const ifAll = ladderViolations_(all, CONDITIONS);
+    const inverted = ifAll.length ? ifAll : ladderViolations_(applied, CONDITIONS);
+    if (!inverted.length) return;
+    groups[key].forEach(i=>{
+      const g = guarded[i];
+      if (g.approval==="") return;
+      g.status.push(`LADDER INVERTED (${inverted.join("; ")})`);
+      g.approval = "Pending";
+    });
+  });
+  return guarded;
+}
+
+/////////////////////// STORAGE / CARRIER CONSISTENCY ///////////////////////
+
+function _storageGb_(s){
+  const x = String(s||"").toUpperCase();
+  const tb = x.match(/(\d+(?:\.\d+)?)\s*TB/); if (tb) return Number(tb[1]) * 1024;
+  const gb = x.match(/(\d+)\s*GB/);          if (gb) return Number(gb[1]);
+  return null;
+}
+
+function _effectivePrice_(p){ return p.proposed!=="" ? Number(p.proposed) : (p.current==null ? null : Number(p.current)); }
+
+// Catalog prices (indexCatalogValues_ priceLookup) of the model/storage/conditions in proposals that no
+// proposal covers – e.g. the other carriers when the sequential runner or "Run carrier…" prices one
+// carrier – as read-only rows for the Unlocked-vs-carrier check.
+function catalogReferenceRows_(priceLookup, proposals){
+  const covered = {}, wanted = {};
+  proposals.forEach(p=>{
+    covered[`${_normalizeCarrier(p.carrier)}|${p.modelKey}|${p.storage}|${p.condition}`] = true;
+    wanted[`${p.modelKey}|${p.storage}`] = true;
+  });
+  const out = [];
+  Object.keys(priceLookup || {}).forEach(key=>{
+    const parts = key.split("|");
+    const storage = parts.pop(), carrier = parts.pop(), modelKey = parts.join("|");
+    if (!wanted[`${modelKey}|${storage}`]) return;
+    Object.keys(priceLookup[key]).forEach(cond=>{
+      const price = _numOrNull_(priceLookup[key][cond]);
+      if (price==null || price<=0 || covered[`${carrier}|${modelKey}|${storage}|${cond}`]) return;
+      out.push({ carrier, modelKey, storage, condition: cond, current: price, proposed: "", reference: true });
+    });
+  });
+  return out;
+}
+
+// Within a model + condition: bigger storage must be priced ≥ smaller storage + storageStep,
+// and Unlocked ≥ every carrier-locked unit + unlockedPremium. Offending rows get a note;
+// with opts.fix the offending (larger / Unlocked) price is raised to the minimum.
+// opts.reference = catalogReferenceRows_ for carriers outside this pass: compared, never changed.
+// A locked row above a reference Unlocked price is flagged only (its Unlocked row isn't in this pass).
+function checkStorageAndCarrierConsistency_(proposals, opts){
+  const fixTo = (p, min, note)=>{
+    if (opts.fix && p.current!=null){
+      p.notes.push(`${note} → FIXED (was ${_effectivePrice_(p)})`);
+      p.proposed = min;
+    } else p.notes.push(note);
+  };
+
+  const byTier = {};
+  proposals.forEach(p=>{
+    if (_storageGb_(p.storage)==null || _effectivePrice_(p)==null) return;
+    const key = `${p.carrier}|${p.modelKey}|${p.condition}`;
+    (byTier[key] = byTier[key] || []).push(p);
+  });
+  const checkTiers = rows=>{
+    rows.sort((a,b)=>_storageGb_(a.storage)-_storageGb_(b.storage));
+    for (let i=1; i<rows.length; i++){
+      const lower = rows[i-1], p = rows[i];
+      if (_storageGb_(lower.storage)===_storageGb_(p.storage)) continue;
+      const min = _effectivePrice_(lower) + opts.storageStep;
+      if (_effectivePrice_(p) < min) fixTo(p, min, `STORAGE: ${p.storage} < ${lower.storage}+$${opts.storageStep}`);
+    }
+  };
+  const isUnlocked = p=>_normalizeCarrier(p.carrier)==="Unlocked";
+
+  // Locked tiers first, then Unlocked vs carriers, then Unlocked tiers (so fixes don't undo each other)
+  Object.keys(byTier).forEach(key=>{ if (!isUnlocked(byTier[key][0])) checkTiers(byTier[key]); });
+
+  const byCarrier = {};
+  proposals.concat(opts.reference || []).forEach(p=>{
+    if (_effectivePrice_(p)==null) return;
+    const key = `${p.modelKey}|${p.storage}|${p.condition}`;
+    (byCarrier[key] = byCarrier[key] || []).push(p);
+  });
+  const source = p=>p.reference ? `${p.carrier} (catalog)` : p.carrier;
+  Object.keys(byCarrier).forEach(key=>{
+    const rows = byCarrier[key];
+    const unlocked = rows.find(isUnlocked);
+    if (!unlocked || rows.every(p=>p.reference)) return;
+    if (unlocked.reference){
+      const max = _effectivePrice_(unlocked) - opts.unlockedPremium;
+      rows.forEach(p=>{ if (!p.reference && _effectivePrice_(p) > max) p.notes.push(`ABOVE UNLOCKED (catalog) $${_effectivePrice_(unlocked)}-$${opts.unlockedPremium}`); });
+      return;
+    }
+    let top = null;
+    rows.forEach(p=>{ if (p!==unlocked && (!top || _effectivePrice_(p)>_effectivePrice_(top))) top = p; });
+    if (!top) return;
+    const min = _effectivePrice_(top) + opts.unlockedPremium;
+    if (_effectivePrice_(unlocked) < min) fixTo(unlocked, min, `UNLOCKED < ${source(top)}+$${opts.unlockedPremium}`);
+  });
+
+  Object.keys(byTier).forEach(key=>{ if (isUnlocked(byTier[key][0])) checkTiers(byTier[key]); });
+}
+
+/////////////////////// ANOMALY CHECKS ///////////////////////
+
+// Report rows that look wrong are quarantined: still listed, never auto-approved or pushed.
+//   maxDeltaRatio      |Δ| above this × current price (0/null = off)
+//   maxReportAgeHours  report date in the title row older than this (0/null = off)
+const ANOMALY_DEFAULTS = { maxDeltaRatio: 1, maxReportAgeHours: 48 };
+
+const QUARANTINE_HEADER = ["When","RunId","Carrier","Model","Storage","Condition","Rank","Δ","CurrentPrice","ProposedPrice","product_id","Reason"];
+
+// A Date cell, or the first "yyyy-mm-dd[ hh:mm[:ss]]" or "m/d/yyyy" in the text (local time); else null
+function _parseDate_(cell){
+  if (cell instanceof Date) return isNaN(cell.getTime()) ? null : cell;
+  const text = String(cell==null ? "" : cell);
+  let m = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (m) return new Date(+m[1], +m[2]-1, +m[3], +(m[4]||0), +(m[5]||0), +(m[6]||0));
+  m = text.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m) return new Date(+m[3], +m[1]-1, +m[2]);
+  return null;
+}
+
+// Report date from the title row (row 1); null when the title carries no date
+function reportDate_(values){
+  const title = (values && values[0]) || [];
+  for (const cell of title){
+    const d = _parseDate_(cell);
+    if (d) return d;
+  }
+  return null;
+}
+
+// Flags report records before pricing (rec.anomalies): non-numeric Rank/Δ, Rank below 1, the same
+// model/storage/condition on more than one row, a report older than opts.maxReportAgeHours.
+// opts.now = reference time (default now). Returns records.
+function flagReportAnomalies_(records, reportDate, opts){
+  const o = Object.assign({}, ANOMALY_DEFAULTS, opts);
+  const now = o.now || new Date();
+  const ageHours = reportDate ? (now.getTime() - reportDate.getTime()) / 3600000 : null;
+  const stale = o.maxReportAgeHours && ageHours!=null && ageHours > o.maxReportAgeHours;
+
+  const rowsByKey = {};
+  records.forEach(rec=>{
+    const key = `${_norm(rec.model).toLowerCase()}|${rec.storage}|${rec.condition}`;
+    (rowsByKey[key] = rowsByKey[key] || []).push(rec.row);
+  });
+
+  records.forEach(rec=>{
+    const notes = rec.anomalies || [];
+    if (rec.rank!=="" && isNaN(Number(rec.rank))) notes.push(`RANK NOT A NUMBER ("${rec.rank}")`);
+    else if (rec.rank!=="" && Number(rec.rank)<1) notes.push(`RANK OUT OF RANGE (${rec.rank})`);
+    if (rec.delta!=="" && isNaN(Number(rec.delta))) notes.push(`Δ NOT A NUMBER ("${rec.delta}")`);
+    const dup = rowsByKey[`${_norm(rec.model).toLowerCase()}|${rec.storage}|${rec.condition}`];
+    if (dup.length>1) notes.push(`DUPLICATE ROW (report rows ${dup.map(r=>r+3).join(", ")})`);
+    if (stale) notes.push(`STALE REPORT (${Math.round(ageHours)}h old > ${o.maxReportAgeHours}h)`);
+    rec.anomalies = notes;
+  });
+  return records;
+}
+
+// Δ outliers need the current price, so they are flagged on the priced proposals (p.anomalies)
+function flagDeltaOutliers_(proposals, maxDeltaRatio){
+  if (!maxDeltaRatio) return proposals;
+  proposals.forEach(p=>{
+    const d = Number(p.delta);
+    if (p.current==null || p.delta==="" || isNaN(d) || p.current<=0) return;
+    if (Math.abs(d) > maxDeltaRatio * p.current){
+      p.anomalies.push(`Δ ${d>0?"+":"-"}$${Math.abs(d)} > ${maxDeltaRatio}× CURRENT $${p.current}`);
+    }
+  });
+  return proposals;
+}
+
+function quarantineRow_(p, g, when, runId){
+  return [
+    when, runId, p.carrier, p.model, p.storage, p.condition, p.rank, p.delta,
+    p.current==null?"":p.current,
+    g.proposed===""?"":Number(g.proposed),
+    p.productId,
+    p.anomalies.join("; "),
+  ];
+}
+
+/////////////////////// REPORT HISTORY & DAMPING ///////////////////////
+
+// One row per priced report record per run. RefPrice = CurrentPrice + Δ: the competitor price the
+// strategies react to (the leader when we're not #1, the runner-up when we are).
+const REPORT_HISTORY_HEADER = ["SnapshotAt","RunId","Carrier","Model","Storage","Condition","Rank","Δ","CurrentPrice","RefPrice"];
+
+// Damping: a proposal only follows a competitor move once it has held
+//   mode "snapshots" – for `snapshots` consecutive snapshots (this run included)
+//   mode "hours"     – since at least `hours` ago
+//   mode "off"       – always follow (trend is still reported)
+const DAMPING_DEFAULTS = { mode: "off", snapshots: 3, hours: 24 };
+
+const _historyKey_ = (carrier, model, storage, condition)=>
+  [carrier, _norm(model).toLowerCase(), _gbNormalize(_norm(storage)), condition].join("|");
+
+function snapshotRows_(proposals, when, runId){
+  const rows = [];
+  proposals.forEach(p=>{
+    const d = Number(p.delta), r = Number(p.rank);
+    if (p.current==null || p.delta==="" || p.rank==="" || isNaN(d) || isNaN(r)) return;
+    rows.push([when, runId, p.carrier, p.model, p.storage, p.condition, r, d, p.current, Math.round((p.current + d)*100)/100]);
+  });
+  return rows;
+}
+
+// values = Report_History rows incl. header → { "<carrier|model|storage|condition>": [{ at, ref }] } oldest first.
+// Rows of excludeRunId (the run being built) are skipped.
+function indexReportHistory_(values, excludeRunId){
+  const out = {};
+  if (!values || values.length < 2) return out;
+  const col = _titleRowToIndex(values[0]);
+  ["SnapshotAt","Carrier","Model","Condition","RefPrice"].forEach(c=>{
+    if (col[c]==null) throw new Error(`Report history missing column: ${c}`);
+  });
+  for (let i=1; i<values.length; i++){
+    const r = values[i];
+    if (excludeRunId && col["RunId"]!=null && _norm(r[col["RunId"]])===String(excludeRunId)) continue;
+    const at = _parseDate_(r[col["SnapshotAt"]]);
+    const ref = _numOrNull_(r[col["RefPrice"]]);
+    if (!at || ref==null) continue;
+    const key = _historyKey_(_norm(r[col["Carrier"]]), r[col["Model"]], col["Storage"]==null ? "" : r[col["Storage"]], _norm(r[col["Condition"]]));
+    (out[key] = out[key] || []).push({ at, ref });
+  }
+  for (const k in out) out[k].sort((a,b)=>a.at-b.at);
+  return out;
+}
+
+// Drops rows older than keepDays; returns { values, removed } (header kept)
+function pruneReportHistory_(values, keepDays, now){
+  if (!values || values.length < 2 || !keepDays) return { values: values || [], removed: 0 };
+  const col = _titleRowToIndex(values[0]);
+  const cutoff = (now || new Date()).getTime() - keepDays*86400000;
+  const kept = values.slice(1).filter(r=>{
+    const at = _parseDate_(r[col["SnapshotAt"]]);
+    return !at || at.getTime() >= cutoff;
+  });
+  return { values: [values[0]].concat(kept), removed: values.length - 1 - kept.length };
+}
+
+function _trendLabel_(prevRef, ref){
+  if (prevRef==null) return "NEW";
+  const d = Math.round((ref - prevRef)*100)/100;
+  return d>0 ? `UP +$${d}` : d<0 ? `DOWN -$${-d}` : "FLAT";
+}
+
+// Sets p.trend (RefPrice vs the previous snapshot) and, when damping is on, keeps the current price
+// (note "DAMPED ...") until the competitor move has held long enough. history = indexReportHistory_().
+function applyTrendAndDamping_(proposals, history, damping, now){
+  const o = Object.assign({}, DAMPING_DEFAULTS, damping);
+  const t = (now || new Date()).getTime();
+  proposals.forEach(p=>{
+    const d = Number(p.delta);
+    if (p.current==null || p.delta==="" || isNaN(d)) { p.trend = ""; return; }
+    const ref = p.current + d;
+    const past = history[_historyKey_(p.carrier, p.model, p.storage, p.condition)] || [];
+    p.trend = _trendLabel_(past.length ? past[past.length-1].ref : null, ref);
+
+    if (o.mode==="off" || p.proposed==="" || Number(p.proposed)===p.current) return;
+    // Consecutive snapshots (newest first, this run included) whose competitor price is on the
+    // same side of our current price as the move we're about to make
+    const up = Number(p.proposed) > p.current;
+    const points = [{ at: new Date(t), ref }].concat(past.slice().reverse());
+    let streak = 0;
+    while (streak<points.length && (up ? points[streak].ref > p.current : points[streak].ref < p.current)) streak++;
+
+    if (o.mode==="snapshots" && streak < o.snapshots){
+      p.notes.push(`DAMPED (${streak}/${o.snapshots} SNAPSHOTS)`);
+      p.proposed = p.current;
+    } else if (o.mode==="hours"){
+      const heldHours = streak ? (t - points[streak-1].at.getTime()) / 3600000 : 0;
+      if (heldHours < o.hours){
+        p.notes.push(`DAMPED (${Math.floor(heldHours)}h/${o.hours}h)`);
+        p.proposed = p.current;
+      }
+    }
+  });
+  return proposals;
+}
+
+/////////////////////// RULE SIMULATION ///////////////////////
+
+// groups keyed "carrier|condition" (plus "carrier|ALL" and "ALL|ALL") → carriers in first-seen order,
+// conditions in CONDITIONS order then ALL, grand total last
+function _orderSummaryGroups_(groups){
+  const condOrder = c=>c==="ALL" ? CONDITIONS.length + 1 : (CONDITIONS.indexOf(c)<0 ? CONDITIONS.length : CONDITIONS.indexOf(c));
+  const carriers = [];
+  Object.keys(groups).forEach(k=>{ const c = groups[k].carrier; if (c!=="ALL" && carriers.indexOf(c)<0) carriers.push(c); });
+  const ordered = [];
+  carriers.forEach(c=>{
+    Object.keys(groups).map(k=>groups[k]).filter(g=>g.carrier===c)
+      .sort((a,b)=>condOrder(a.condition)-condOrder(b.condition))
+      .forEach(g=>ordered.push(g));
+  });
+  if (groups["ALL|ALL"]) ordered.push(groups["ALL|ALL"]);
+  return ordered;
+}
+
+const SIMULATION_HEADER = [
+  "Carrier","Condition","Rows",
+  "Changed (current)","Changed (candidate)",
+  "Total $ (current)","Total $ (candidate)",
+  "Avg $ (current)","Avg $ (candidate)",
+  "Rank 1 (current)","Rank 1 (candidate)",
+];
+
+// Replays Report_History rows (REPORT_HISTORY_HEADER) through computeNewPrice_ under the current and a
+// candidate rule set, priced from each snapshot's CurrentPrice. One row per carrier/condition, an
+// ALL row per carrier and a grand total: prices changed, total and average $ moved by the changed
+// rows, and rows that would sit at #1 afterwards (price above the competitor's RefPrice).
+// Rules match on the catalog model key, as when pricing: aliases = parseModelAliases_ result (Model_Aliases).
+function simulateRules_(historyValues, currentRules, candidateRules, aliases){
+  if (!historyValues || historyValues.length < 2) return [];
+  const col = _titleRowToIndex(historyValues[0]);
+  ["Carrier","Model","Condition","Rank","Δ","CurrentPrice"].forEach(c=>{
+    if (col[c]==null) throw new Error(`Report history missing column: ${c}`);
+  });
+  const ruleSets = { current: currentRules || [], candidate: candidateRules || [] };
+  const groups = {};
+  const group = (carrier, condition)=>{
+    const key = `${carrier}|${condition}`;
+    if (!groups[key]) groups[key] = { carrier, condition, rows: 0, current: { changed:0, total:0, rank1:0 }, candidate: { changed:0, total:0, rank1:0 } };
+    return groups[key];
+  };
+
+  historyValues.slice(1).forEach(r=>{
+    const current = _numOrNull_(r[col["CurrentPrice"]]);
+    const rank = _numOrNull_(r[col["Rank"]]);
+    const delta = _numOrNull_(r[col["Δ"]]);
+    if (current==null || rank==null || delta==null) return;
+    const carrier = _normalizeCarrier(_norm(r[col["Carrier"]]));
+    const cond = _norm(r[col["Condition"]]);
+    const storage = col["Storage"]==null ? "" : _gbNormalize(_norm(r[col["Storage"]]));
+    const modelKey = resolveCatalogModel_(aliases || {}, _norm(r[col["Model"]]), carrier);
+    const targets = [group(carrier, cond), group(carrier, "ALL"), group("ALL", "ALL")];
+    targets.forEach(g=>g.rows++);
+
+    for (const name in ruleSets){
+      const rule = resolvePricingRule_(ruleSets[name], carrier, modelKey, storage, cond);
+      const res = computeNewPrice_(current, rank, delta, cond, rule);
+      const price = res.proposed==="" ? current : Number(res.proposed);
+      targets.forEach(g=>{
+        const s = g[name];
+        if (price!==current){ s.changed++; s.total += price - current; }
+        if (price > current + delta) s.rank1++;
+      });
+    }
+  });
+
+  if (!groups["ALL|ALL"]) return [];
+  const money = v=>Math.round(v*100)/100;
+  const avg = s=>s.changed ? money(s.total / s.changed) : "";
+  return _orderSummaryGroups_(groups).map(g=>[
+    g.carrier, g.condition, g.rows,
+    g.current.changed, g.candidate.changed,
+    money(g.current.total), money(g.candidate.total),
+    avg(g.current), avg(g.candidate),
+    g.current.rank1, g.candidate.rank1,
+  ]);
+}
+
+/////////////////////// RUN SUMMARY ///////////////////////
+
+const RUN_SUMMARY_STATUSES = ["CHASE #1","TRIM LEAD","NO CHANGE","NO CATALOG MATCH","APPLY FAILED"];
+const RUN_SUMMARY_HEADER = ["Carrier","Condition","Rows"].concat(RUN_SUMMARY_STATUSES, [
+  "Increases","Decreases","Total $","Avg $","Biggest Increase","Biggest Decrease",
+  "Increases (prev)","Decreases (prev)","Total $ (prev)","Total $ vs prev",
+]);
+
+// Proposals values (PROPOSALS_HEADER columns; only rows of runId when given) → { rows, totals }.
+// rows: RUN_SUMMARY_HEADER per carrier/condition, an ALL row per carrier and a grand total. A status counts
+// when one of its " | " parts starts with the label; $ figures cover rows whose ProposedPrice differs from
+// CurrentPrice, leaving out failed applies and, in a run that applied, DRY-RUN rows (prices that never went
+// live). previous = the totals of an earlier run ({ "carrier|condition": { increases, decreases, total } }),
+// returned as totals for the caller to keep; the prev columns stay blank without it.
+function summarizeProposals_(values, runId, previous){
+  const money = v=>Math.round(v*100)/100;
+  if (!values || values.length < 2) return { rows: [], totals: {} };
+  const col = _titleRowToIndex(values[0]);
+  ["Carrier","Condition","CurrentPrice","ProposedPrice","Status"].forEach(c=>{
+    if (col[c]==null) throw new Error(`Proposals missing column: ${c}`);
+  });
+  const groups = {};
+  const group = (carrier, condition)=>{
+    const key = `${carrier}|${condition}`;
+    if (!groups[key]){
+      groups[key] = { key, carrier, condition, rows: 0, statuses: {}, increases: 0, decreases: 0, total: 0, up: null, down: null };
+      RUN_SUMMARY_STATUSES.forEach(s=>groups[key].statuses[s] = 0);
+    }
+    return groups[key];
+  };
+
+  const statusParts = r=>String(r[col["Status"]]||"").split(" | ").map(s=>s.trim());
+  const runRows = values.slice(1).filter(r=>!runId || col["RunId"]==null || _norm(r[col["RunId"]])===runId);
+  const applied = runRows.some(r=>statusParts(r).some(p=>/^(APPLIED|APPLY FAILED|AWAITING APPROVAL)/.test(p)));
+
+  runRows.forEach(r=>{
+    const carrier = _norm(r[col["Carrier"]]);
+    const cond = _norm(r[col["Condition"]]);
+    if (!carrier && !cond) return;
+    const targets = [group(carrier, cond), group(carrier, "ALL"), group("ALL", "ALL")];
+    const parts = statusParts(r);
+    const current = _numOrNull_(r[col["CurrentPrice"]]);
+    const proposed = _numOrNull_(r[col["ProposedPrice"]]);
+    const live = !parts.some(p=>p.indexOf("APPLY FAILED")===0 || (applied && p==="DRY-RUN"));
+    const move = live && current!=null && proposed!=null ? money(proposed - current) : 0;
+    const label = [col["Model"]!=null ? _norm(r[col["Model"]]) : "", col["Storage"]!=null ? _norm(r[col["Storage"]]) : ""].filter(Boolean).join(" ");
+    const mover = `${label || "?"}${carrier ? ` (${carrier} ${cond})` : ""} ${move>0 ? "+" : "-"}$${Math.abs(move)}`;
+
+    targets.forEach(g=>{
+      g.rows++;
+      RUN_SUMMARY_STATUSES.forEach(s=>{ if (parts.some(p=>p.indexOf(s)===0)) g.statuses[s]++; });
+      if (!move) return;
+      move>0 ? g.increases++ : g.decreases++;
+      g.total += move;
+      if (move>0 && (!g.up || move>g.up.move)) g.up = { move, mover };
+      if (move<0 && (!g.down || move<g.down.move)) g.down = { move, mover };
+    });
+  });
+
+  const totals = {};
+  const rows = _orderSummaryGroups_(groups).map(g=>{
+    const changed = g.increases + g.decreases;
+    totals[g.key] = { increases: g.increases, decreases: g.decreases, total: money(g.total) };
+    const prev = previous ? previous[g.key] || { increases: 0, decreases: 0, total: 0 } : null;
+    return [g.carrier, g.condition, g.rows]
+      .concat(RUN_SUMMARY_STATUSES.map(s=>g.statuses[s]))
+      .concat([
+        g.increases, g.decreases, money(g.total), changed ? money(g.total / changed) : "",
+        g.up ? g.up.mover : "", g.down ? g.down.mover : "",
+        prev ? prev.increases : "", prev ? prev.decreases : "", prev ? prev.total : "",
+        prev ? money(g.total - prev.total) : "",
+      ]);
+  });
+  return { rows, totals };
+}
+
+// The "Previous run" block of Run_Summary: what summarizeProposals_ needs from a run to compare against
+const RUN_SUMMARY_PREV_HEADER = ["Carrier","Condition","Increases","Decreases","Total $"];
+
+// Rows with a header row naming Carrier, Condition, Increases, Decreases, Total $ (a RUN_SUMMARY_HEADER table
+// or a RUN_SUMMARY_PREV_HEADER block) → summarizeProposals_ totals. Rows without a Carrier are skipped.
+function runSummaryTotals_(values){
+  const totals = {};
+  if (!values || values.length < 2) return totals;
+  const col = _titleRowToIndex(values[0]);
+  RUN_SUMMARY_PREV_HEADER.forEach(c=>{ if (col[c]==null) throw new Error(`Run summary missing column: ${c}`); });
+  values.slice(1).forEach(r=>{
+    const carrier = _norm(r[col["Carrier"]]);
+    if (!carrier) return;
+    totals[`${carrier}|${_norm(r[col["Condition"]])}`] = {
+      increases: _numOrNull_(r[col["Increases"]]) || 0,
+      decreases: _numOrNull_(r[col["Decreases"]]) || 0,
+      total: _numOrNull_(r[col["Total $"]]) || 0,
+    };
+  });
+  return totals;
+}
+
+/////////////////////// PROPOSAL PIPELINE ///////////////////////
+
+const PROPOSALS_HEADER = ["When","Carrier","Model","Storage","Condition","Rank","Δ","CurrentPrice","ProposedPrice","Status","Approval","product_id","Rule","RunId","Trend"];
+
+// Defaults for the review steps; reusely-pricing.js passes its own config constants instead
+const PROPOSAL_DEFAULTS = {
+  ladderGap: 5,                                         // null/0 = skip the condition ladder pass
+  consistency: { fix:false, storageStep:10, unlockedPremium:0 },
+  guardrails: GUARDRAIL_DEFAULTS,
+  approval: { maxChangeUsd:5, reasons:["TRIM LEAD"] },
+  anomalies: ANOMALY_DEFAULTS,
+  damping: DAMPING_DEFAULTS,
+  unmatchedCandidates: 3,
+};
+
+// Report records of one carrier → catalog matches. catalog = { idx, modelsByCarrier, aliases }.
+// storageFromReport=false ignores the report's Storage column (legacy tabs match the loose key).
+// Returns { matched, unmatched } – unmatched once per model/storage with its fuzzy candidates.
+function matchReportRecords_(records, carrier, storageFromReport, catalog, nCandidates){
+  const carrierNorm = _normalizeCarrier(carrier);
+  const matched = [];
+  const unmatched = [];
+  const seen = {};
+
+  records.forEach(rec=>{
+    const model   = _norm(rec.model);
+    const storage = storageFromReport ? _gbNormalize(_norm(rec.storage)) : "";
+    const cond    = rec.condition;
+
+    const modelKey = resolveCatalogModel_(catalog.aliases, model, carrierNorm);
+    const cat = catalog.idx[`${modelKey}|${carrierNorm}|${storage}`] || catalog.idx[`${modelKey}|${carrierNorm}|`];
+    const productId = cat ? cat.product_id : "";
+
+    if (!cat && !seen[`${model}|${storage}`]){
+      seen[`${model}|${storage}`] = true;
+      unmatched.push({ carrier, model, storage, candidates: fuzzyCatalogCandidates_(catalog.modelsByCarrier, model, carrierNorm, nCandidates) });
+    }
+
+    matched.push({ carrier, carrierNorm, model, modelKey, storage, cond, rec, productId });
+  });
+  return { matched, unmatched };
+}
+
+// Matched rows → proposals. currentPriceFor(m) returns the live/catalog price or null.
+function priceMatchedRows_(matched, rules, currentPriceFor){
+  return matched.map(m=>{
+    const currentPrice = currentPriceFor(m);
+    const rule = resolvePricingRule_(rules, m.carrierNorm, m.modelKey, m.storage, m.cond);
+    const computed = computeNewPrice_(currentPrice, m.rec.rank, m.rec.delta, m.cond, rule);
+    return {
+      carrier: m.carrier, model: m.model, modelKey: m.modelKey, storage: m.storage, condition: m.cond,
+      rank: m.rec.rank, delta: m.rec.delta, productId: m.productId, rule, reason: computed.reason, notes: [],
+      anomalies: (m.rec.anomalies || []).slice(),
+      current: currentPrice==null ? null : Number(currentPrice),
+      proposed: (computed.proposed==="" || isNaN(Number(computed.proposed))) ? "" : Number(computed.proposed),
+    };
+  });
+}
+
+// Cross-row passes over a whole run: storage/carrier consistency, then the condition ladder
+// opts = { consistency, ladderGap, anomalies, history (indexReportHistory_), damping, now,
+//         catalogPrices (catalog priceLookup: carriers outside this pass for the Unlocked check) }
+function reviewProposals_(proposals, opts){
+  if (opts.anomalies) flagDeltaOutliers_(proposals, opts.anomalies.maxDeltaRatio);
+  if (opts.history) applyTrendAndDamping_(proposals, opts.history, opts.damping, opts.now);
+  checkStorageAndCarrierConsistency_(proposals, Object.assign({}, opts.consistency,
+    { reference: opts.catalogPrices ? catalogReferenceRows_(opts.catalogPrices, proposals) : [] }));
+  if (opts.ladderGap) enforceConditionLadder_(proposals, opts.ladderGap);
+  return proposals;
+}
+
+// "" for rows that don't move a price; otherwise Approved when an auto-approve rule
+// matches and nothing unusual (ladder/consistency/guardrail notes) was flagged, else Pending.
+// opts = { maxChangeUsd, reasons }
+function autoApproval_(p, proposed, notes, opts){
+  if (!p.productId || proposed==="" || isNaN(Number(proposed))) return "";
+  if (p.current!=null && Math.round(Number(proposed))===Math.round(p.current)) return "";
+  if (notes.length) return "Pending";
+  if (opts.reasons.indexOf(p.reason)>=0) return "Approved";
+  if (p.current!=null && Math.abs(Number(proposed)-p.current)<=opts.maxChangeUsd) return "Approved";
+  return "Pending";
+}
+
+// Guardrails + auto-approval for one reviewed proposal.
+// Returns { proposed, approval, status } – status is the list of Status parts so far.
+function guardProposal_(p, lim, guardOpts, approvalOpts){
+  const status = [];
+  if (!p.productId) status.push("NO CATALOG MATCH");
+
+  const guarded = applyGuardrails_(p.current, p.proposed, lim, guardOpts);
+  const quarantined = (p.anomalies || []).length ? [`QUARANTINED: ${p.anomalies.join("; ")}`] : [];
+  const approval = autoApproval_(p, guarded.proposed, p.notes.concat(guarded.note ? [guarded.note] : [], quarantined), approvalOpts);
+  if (p.proposed==="") status.push(p.reason || "NO PROPOSED PRICE");
+  else {
+    status.push(p.reason);
+    p.notes.forEach(n=>status.push(n));
+    if (guarded.note) status.push(guarded.note);
+  }
+  quarantined.forEach(q=>status.push(q));
+  return { proposed: guarded.proposed, approval, status };
+}
+
+// One Proposals row in PROPOSALS_HEADER order
+function proposalRow_(p, g, when, runId){
+  return [
+    when, p.carrier, p.model, p.storage, p.condition, p.rank, p.delta,
+    p.current==null?"":p.current,
+    g.proposed===""?"":Number(g.proposed),
+    g.status.filter(Boolean).join(" | "),
+    g.approval,
+    p.productId,
+    `${p.rule.name} [${p.rule.strategy}]`,
+    runId,
+    p.trend || ""
+  ];
+}
+
+// Proposals values → { "<product_id>": { "<catalog price column>": price } } for the rows that may go live:
+// Approved (when the tab has an Approval column) and not QUARANTINED; later rows win. Feeds the changed-only
+// CSV export, whose rows push-prices.js treats as already reviewed.
+function approvedPricesByProduct_(values){
+  const out = {};
+  if (!values || values.length < 2) return out;
+  const col = _titleRowToIndex(values[0]);
+  values.slice(1).forEach(r=>{
+    const pid = _norm(r[col["product_id"]]);
+    const price = _numOrNull_(r[col["ProposedPrice"]]);
+    const key = PRICE_COLS_IN_CATALOG[_norm(r[col["Condition"]])];
+    if (!pid || price==null || !key) return;
+    if (col["Approval"]!=null && _norm(r[col["Approval"]])!=="Approved") return;
+    if (col["Status"]!=null && String(r[col["Status"]]||"").indexOf("QUARANTINED")>=0) return;
+    (out[pid] = out[pid] || {})[key] = Math.round(price);
+  });
+  return out;
+}
+
+// Whole pipeline without any I/O, priced from the catalog's price columns.
+// reports = [{ carrier, values, storageFromReport }] (values as in a report tab, title row first),
+// catalogValues = Reusely_Catalog rows incl. header; opts = PROPOSAL_DEFAULTS fields plus
+// { rules, limits, aliases, when, runId, now, reportHistory (Report_History rows incl. header) }.
+// Returns { rows, unmatched, quarantine, snapshots } – rows without the header; quarantine rows follow
+// QUARANTINE_HEADER, snapshots (this run's Report_History rows) REPORT_HISTORY_HEADER.
+function planProposals_(reports, catalogValues, opts){
+  const o = Object.assign({}, PROPOSAL_DEFAULTS, opts);
+  const catalog = indexCatalogValues_(catalogValues);
+  catalog.aliases = o.aliases || {};
+
+  let matched = [];
+  let unmatched = [];
+  reports.forEach(r=>{
+    const records = flagReportAnomalies_(parseReportValues_(r.values, r.carrier), reportDate_(r.values), Object.assign({ now: o.now }, o.anomalies));
+    const res = matchReportRecords_(records, r.carrier, r.storageFromReport!==false, catalog, o.unmatchedCandidates);
+    matched = matched.concat(res.matched);
+    unmatched = unmatched.concat(res.unmatched);
+  });
+
+  const proposals = priceMatchedRows_(matched, o.rules || [], m=>getCurrentPriceFromCatalog_(catalog.priceLookup, m.modelKey, m.carrierNorm, m.storage, m.cond));
+  reviewProposals_(proposals, Object.assign({}, o, {
+    history: o.reportHistory ? indexReportHistory_(o.reportHistory, o.runId) : null,
+    catalogPrices: catalog.priceLookup,
+  }));
+
+  const guarded = recheckConditionLadder_(proposals, proposals.map(p=>guardProposal_(p, _limitFor_(o.limits, p.productId, p.condition), o.guardrails, o.approval)));
+  const quarantine = [];
+  const rows = proposals.map((p,i)=>{
+    const g = guarded[i];
+    if (p.proposed!=="") g.status.push("DRY-RUN");
+    if (p.anomalies.length) quarantine.push(quarantineRow_(p, g, o.when || "", o.runId || ""));
+    return proposalRow_(p, g, o.when || "", o.runId || "");
+  });
+  return { rows, unmatched, quarantine, snapshots: snapshotRows_(proposals, o.when || "", o.runId || "") };
+}
+
+/////////////////////// CSV ///////////////////////
+
+function toCsv_(rows) {
+  const esc = v => { if (v == null) v = ""; v = String(v); if (/[",\n]/.test(v)) v = '"' + v.replace(/"/g, '""') + '"'; return v; };
+  return rows.map(r => r.map(esc).join(",")).join("\n") + "\n";
+}
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF or LF line ends. Returns rows of strings.
+function parseCsv_(text){
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  for (let i=0; i<s.length; i++){
+    const ch = s[i];
+    if (quoted){
+      if (ch==='"' && s[i+1]==='"'){ field += '"'; i++; }
+      else if (ch==='"') quoted = false;
+      else field += ch;
+    } else if (ch==='"') quoted = true;
+    else if (ch===","){ row.push(field); field = ""; }
+    else if (ch==="\n" || ch==="\r"){
+      if (ch==="\r" && s[i+1]==="\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field!=="" || row.length){ row.push(field); rows.push(row); }
+  return rows;
+}
+
+if (typeof module!=="undefined" && module.exports){
+  module.exports = {
+    COL_MODEL, COL_STORAGE, CONDITIONS, PRICE_COLS_IN_CATALOG, CONDITION_TO_REUSELY,
+    DEFAULT_CONDITION_TAXONOMY, CONDITION_TAXONOMY, setConditionTaxonomy_, conditionKeyFor_, parseConditionTaxonomy_,
+    DEFAULT_CARRIERS, CARRIERS, setCarriers_, parseCarriers_,
+    PRICE_BUMP_ABOVE_SECOND, TRIM_LEAD_THRESHOLD, NEW_UNDERCUT_LEADER_BY, DEFAULT_STRATEGY, GUARDRAIL_DEFAULTS,
+    PRICING_STRATEGIES,
+    _titleRowToIndex, _norm, _normalizeCarrier, _numOrNull_, _gbNormalize, _storageGb_,
+    _cleanCatalogModelName_, _extractModelFromCatalog_,
+    indexCatalogValues_, parseReportValues_, reportChunkEnd_, getCurrentPriceFromCatalog_,
+    parseModelAliases_, resolveCatalogModel_, _similarity_, fuzzyCatalogCandidates_,
+    defaultPricingRule_, _globToRegex_, parsePricingRules_, resolvePricingRule_, computeNewPrice_,
+    parsePriceLimits_, _limitFor_, _withinLimit_, maxChangeFor_, applyGuardrails_,
+    enforceConditionLadder_, ladderViolations_, recheckConditionLadder_, catalogReferenceRows_, checkStorageAndCarrierConsistency_,
+    REPORT_HISTORY_HEADER, DAMPING_DEFAULTS, snapshotRows_, indexReportHistory_, pruneReportHistory_, applyTrendAndDamping_,
+    SIMULATION_HEADER, simulateRules_, RUN_SUMMARY_STATUSES, RUN_SUMMARY_HEADER, summarizeProposals_,
+    RUN_SUMMARY_PREV_HEADER, runSummaryTotals_,
+    ANOMALY_DEFAULTS, QUARANTINE_HEADER, _parseDate_, reportDate_, flagReportAnomalies_, flagDeltaOutliers_, quarantineRow_,
+    PROPOSALS_HEADER, PROPOSAL_DEFAULTS, matchReportRecords_, priceMatchedRows_, reviewProposals_,
+    autoApproval_, guardProposal_, proposalRow_, approvedPricesByProduct_, planProposals_,
+    toCsv_, parseCsv_,
+  };
+}
@@ -1,35 +1,101 @@
 // Minimal runner: reads your Google Sheet "Proposals" and pushes prices to Reusely v2 /admin/pricing
+// Only conditions whose live price differs are sent. `--dry-run` prints the planned diff without writing.
+//
+// Row selection (CLI flag or env):
+//   --all-runs              PUSH_ALL_RUNS=1       push every run in the tab, not just the latest RunId/When
+//   --status "A,B"          PUSH_STATUS_ALLOW     status prefixes that may be pushed
+//   --deny "A,B"            PUSH_STATUS_DENY      status prefixes that are never pushed
+//   --carrier "AT&T,..."    PUSH_CARRIERS         only these carriers
+//   --condition "Good,..."  PUSH_CONDITIONS       only these conditions
+// When the tab has an Approval column, only rows marked "Approved" are pushed.
+//
+// Files instead of Google Sheets:
+//   --input file.csv|json   Proposals layout (as the tab / build-proposals.js) or the
+//                           reusely_prices_changed_*.csv export (catalog columns + one price column per grade;
+//                           the export only carries Approved, non-quarantined prices, so status/approval filters
+//                           don't apply; blank/0 prices are left alone and the max change per run is checked
+//                           against the live price)
+//   --limits file.csv|json  Price_Limits export used with --input (optional)
+//   --conditions file       Conditions export (Condition | Reusely Name | Catalog Column | Aliases), also
+//                           CONDITIONS_FILE; the sheet source reads the Conditions tab. Default New→Brand New, ...
+//   --report out.json       per-product results (diff, payload, HTTP status, response excerpt, retries)
+//                           instead of the per-product console lines
+//
+// Write-back (opt-in, sheet source only): --write-back / WRITE_BACK=1 appends "APPLIED" or
+// "APPLY FAILED (...)" to each pushed row's Status and stamps a PushedAt column (added if missing).
+// Needs edit access for the service account. Rows already applied (PushedAt set or an APPLIED status
+// part) are skipped on later runs; APPLY FAILED rows stay out via the default deny-list.
 
-const fetch = require('node-fetch');
-const { google } = require('googleapis');
+const fs = require('fs');
+// node-fetch when installed (CI), else the global fetch of Node 18+
+let fetch;
+try { fetch = require('node-fetch'); } catch (e) { fetch = globalThis.fetch; }
+const { HTTP_POLICY, HTTP_STATS, httpFetchAsync } = require('./reusely-http');
+const {
+  CONDITIONS, CONDITION_TO_REUSELY, PRICE_COLS_IN_CATALOG, CONDITION_TAXONOMY, GUARDRAIL_DEFAULTS,
+  setConditionTaxonomy_, parseConditionTaxonomy_, conditionKeyFor_, parsePriceLimits_, _limitFor_, maxChangeFor_, ladderViolations_,
+} = require('./pricing-core');
+const { readRows } = require('./build-proposals');
 
 const SHEET_ID = process.env.SHEET_ID;            // from repo Secret
 const SHEET_TAB = process.env.SHEET_TAB || 'Proposals';
+const PRICE_LIMITS_TAB = process.env.PRICE_LIMITS_TAB || 'Price_Limits';
+const CONDITIONS_TAB = process.env.CONDITIONS_TAB || 'Conditions';
 
 const REUSELY_BASE_URL = (process.env.REUSELY_BASE_URL || '').replace(/\/+$/,'');
 const PUT_PRICE_PATH = process.env.PUT_PRICE_BY_PRODUCTID || '/api/v2/admin/pricing';
+const GET_PRICE_PATH = process.env.GET_PRICE_BY_PRODUCTID || '/api/v2/admin/products/{productId}/pricing';
 const REUSELY_API_KEY = process.env.REUSELY_API_KEY || '';
 const REUSELY_TENANT_ID = process.env.REUSELY_TENANT_ID || '';
 const REUSELY_SECRET_KEY = process.env.REUSELY_SECRET_KEY || '';
 
-if (!SHEET_ID) {
-  console.error('❌ SHEET_ID is missing (set it in GitHub Secrets).');
-  process.exit(1);
+// Guardrails – defaults shared with reusely-pricing.js via pricing-core.js
+const MAX_CHANGE_PER_RUN_USD = Number(process.env.MAX_CHANGE_PER_RUN_USD || GUARDRAIL_DEFAULTS.maxChangeUsd);
+const MAX_CHANGE_PER_RUN_PCT = Number(process.env.MAX_CHANGE_PER_RUN_PCT || GUARDRAIL_DEFAULTS.maxChangePct);
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// HTTP retry / rate limit (see reusely-http.js)
+if (process.env.HTTP_MAX_RETRIES) HTTP_POLICY.maxRetries = Number(process.env.HTTP_MAX_RETRIES);
+if (process.env.HTTP_REQUESTS_PER_SECOND) HTTP_POLICY.requestsPerSecond = Number(process.env.HTTP_REQUESTS_PER_SECOND);
+
+function argValue(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) return args[i + 1] || '';
+    if (args[i].startsWith(`--${name}=`)) return args[i].slice(name.length + 3);
+  }
+  return null;
 }
-if (!REUSELY_BASE_URL || !REUSELY_TENANT_ID || !REUSELY_SECRET_KEY) {
-  console.error('❌ Reusely env missing: REUSELY_BASE_URL, REUSELY_TENANT_ID, REUSELY_SECRET_KEY.');
-  process.exit(1);
+
+function listOption(flag, envName, fallback) {
+  const raw = argValue(flag) != null ? argValue(flag) : process.env[envName];
+  if (raw == null || raw === '') return fallback;
+  return raw.split(',').map(x => x.trim()).filter(Boolean);
 }
 
-const SWAPPA_TO_REUSELY = {
-  'New': 'Brand New',
-  'Mint': 'Flawless',
-  'Good': 'Good',
-  'Fair': 'Fair',
-  'Broken': 'Broken',
-};
+const ALL_RUNS = process.argv.includes('--all-runs') || process.env.PUSH_ALL_RUNS === '1';
+const STATUS_ALLOW = listOption('status', 'PUSH_STATUS_ALLOW', [
+  'CHASE #1', 'TRIM LEAD', 'NEW: TOP-', 'HOLD #', 'MATCH LEADER', 'WITHIN ', 'MAX MARGIN', 'LADDER',
+  'STORAGE:', 'UNLOCKED <',
+]);
+const STATUS_DENY = listOption('deny', 'PUSH_STATUS_DENY', ['NO CATALOG MATCH', 'APPLY FAILED', 'HELD', 'QUARANTINED']);
+const CARRIER_FILTER = listOption('carrier', 'PUSH_CARRIERS', []);
+const CONDITION_FILTER = listOption('condition', 'PUSH_CONDITIONS', []);
 
-async function readSheet() {
+const INPUT_FILE = argValue('input');
+const LIMITS_FILE = argValue('limits');
+const CONDITIONS_FILE = argValue('conditions') || process.env.CONDITIONS_FILE;
+const REPORT_FILE = argValue('report');
+const WRITE_BACK = process.argv.includes('--write-back') || process.env.WRITE_BACK === '1';
+// Per-product lines go to the console unless a --report file collects them
+const say = REPORT_FILE ? () => {} : console.log;
+
+function numOrNull(v) {
+  return (v === '' || v == null || isNaN(Number(v))) ? null : Number(v);
+}
+
+function getSheetsClient() {
   // Service Account JSON from GitHub Secret GOOGLE_CREDENTIALS
   const credsRaw = process.env.GOOGLE_CREDENTIALS;
   if (!credsRaw) throw new Error('GOOGLE_CREDENTIALS secret is missing.');
@@ -38,62 +104,234 @@ async function readSheet() {
     throw new Error('GOOGLE_CREDENTIALS is not valid JSON.');
   }
 
-  const scopes = ['https://www.googleapis.com/auth/spreadsheets.readonly'];
+  const { google } = require('googleapis');
+  const scopes = [WRITE_BACK
+    ? 'https://www.googleapis.com/auth/spreadsheets'
+    : 'https://www.googleapis.com/auth/spreadsheets.readonly'];
   const jwt = new google.auth.JWT(
     creds.client_email,
     null,
     creds.private_key,
     scopes
   );
-  const sheets = google.sheets({ version: 'v4', auth: jwt });
+  return google.sheets({ version: 'v4', auth: jwt });
+}
 
-  const range = `${SHEET_TAB}`;
+async function readTab(sheets, tab) {
   const res = await sheets.spreadsheets.values.get({
     spreadsheetId: SHEET_ID,
-    range,
+    range: `${tab}`,
   });
 
   const rows = res.data.values || [];
-  if (rows.length < 2) return [];
-
-  const header = rows[0];
+  const header = rows[0] || [];
   const col = {};
   header.forEach((h, i) => (col[String(h).trim()] = i));
+  return { col, rows: rows.slice(1), values: rows };
+}
+
+async function readSheet(sheets) {
+  const { values } = await readTab(sheets, SHEET_TAB);
+  return { proposals: proposalsFromValues(values, `Sheet '${SHEET_TAB}'`), header: values[0] || [] };
+}
+
+// Rows (header first) in the Proposals layout or the reusely_prices_changed_*.csv layout → updates
+function proposalsFromValues(values, source) {
+  const header = (values[0] || []).map(h => String(h).trim());
+  if (header.includes('ProposedPrice')) return proposalsFromProposalRows(values, source);
+  if (header.includes('product_id') && Object.values(PRICE_COLS_IN_CATALOG).some(h => header.includes(h))) {
+    return proposalsFromChangedCsv(values);
+  }
+  if (values.length < 2) return [];
+  throw new Error(`${source}: expected a Proposals layout (product_id, Condition, ProposedPrice) or a catalog price export`);
+}
+
+function proposalsFromProposalRows(values, source) {
+  const col = {};
+  (values[0] || []).forEach((h, i) => (col[String(h).trim()] = i));
+  const rows = values.slice(1);
+  if (!rows.length) return [];
 
   // We expect Proposals sheet columns with at least:
   // product_id, Condition, ProposedPrice
   const required = ['product_id', 'Condition', 'ProposedPrice'];
   for (const r of required) {
     if (col[r] == null) {
-      throw new Error(`Sheet '${SHEET_TAB}' missing column: ${r}`);
+      throw new Error(`${source} missing column: ${r}`);
     }
   }
 
   const out = [];
-  for (let i = 1; i < rows.length; i++) {
-    const r = rows[i];
+  rows.forEach((r, i) => {
     const pid = String(r[col['product_id']] || '').trim();
     const cond = String(r[col['Condition']] || '').trim();
     const proposed = r[col['ProposedPrice']];
 
-    if (!pid) continue;
-    if (!cond) continue;
-    if (proposed === '' || proposed == null || isNaN(Number(proposed))) continue;
+    if (!pid) return;
+    if (!cond) return;
+    const hasPrice = !(proposed === '' || proposed == null || isNaN(Number(proposed)));
 
+    // Rows without a proposal are kept (price: null) so the ladder check sees every grade
+    const cell = name => (col[name] == null ? '' : String(r[col[name]] == null ? '' : r[col[name]]).trim());
     out.push({
       product_id: Number(pid),
       condition: cond,
-      price: Math.round(Number(proposed)),
+      price: hasPrice ? Math.round(Number(proposed)) : null,
+      current: col['CurrentPrice'] == null ? null : numOrNull(r[col['CurrentPrice']]),
+      carrier: cell('Carrier'),
+      status: cell('Status'),
+      when: cell('When'),
+      runId: cell('RunId'),
+      approval: col['Approval'] == null ? null : cell('Approval'),
+      pushedAt: cell('PushedAt'),
+      row: i + 2, // sheet row number, for --write-back
     });
+  });
+  return out;
+}
+
+// exportCsvForReuselyChangedOnly: one row per product with the new price of every grade.
+// status: null marks the rows as already reviewed (no status/approval filtering).
+function proposalsFromChangedCsv(values) {
+  const col = {};
+  values[0].forEach((h, i) => (col[String(h).trim()] = i));
+  const out = [];
+  for (const r of values.slice(1)) {
+    const pid = String(r[col['product_id']] || '').trim();
+    if (!pid) continue;
+    for (const cond of CONDITIONS) {
+      const ix = col[PRICE_COLS_IN_CATALOG[cond]];
+      if (ix == null) continue;
+      const price = numOrNull(r[ix]);
+      out.push({
+        product_id: Number(pid),
+        condition: cond,
+        // the exporter writes blank catalog prices as 0: no price, not a $0 update
+        price: price == null || price <= 0 ? null : Math.round(price),
+        current: null,
+        carrier: col['network_name'] == null ? '' : String(r[col['network_name']] || '').trim(),
+        status: null,
+        when: '',
+        runId: '',
+        approval: null,
+      });
+    }
   }
   return out;
 }
 
+function whenValue(when) {
+  const t = Date.parse(when);
+  return isNaN(t) ? when : t;
+}
+
+// Keeps only the latest batch: the highest RunId when the tab has one, else the latest When.
+function latestRun(proposals) {
+  const byRunId = proposals.some(u => u.runId);
+  const key = u => (byRunId ? u.runId : whenValue(u.when));
+  let latest = null;
+  for (const u of proposals) {
+    if (latest == null || key(u) > latest) latest = key(u);
+  }
+  return proposals.filter(u => key(u) === latest);
+}
+
+// Status is "REASON | NOTE | ..."; a row passes when some part matches the allow-list
+// and no part matches the deny-list.
+function statusAllowed(status) {
+  const parts = String(status || '').split('|').map(x => x.trim()).filter(Boolean);
+  if (parts.some(p => STATUS_DENY.some(d => p.startsWith(d)))) return false;
+  return parts.some(p => STATUS_ALLOW.some(a => p.startsWith(a)));
+}
+
+// Already pushed by this script (PushedAt) or applied from the sheet (an "APPLIED..." status part)
+function alreadyApplied(u) {
+  if (u.pushedAt) return true;
+  return String(u.status || '').split('|').some(p => p.trim().startsWith('APPLIED'));
+}
+
+// Rows that are filtered out keep their current price (price: null) so ladder checks still see them.
+function applyFilters(proposals) {
+  const batch = ALL_RUNS ? proposals : latestRun(proposals);
+  let skipped = 0, applied = 0;
+  for (const u of batch) {
+    if (u.price == null) continue;
+    if (alreadyApplied(u)) {
+      u.price = null;
+      applied++;
+      continue;
+    }
+    const ok = (u.approval == null || u.approval === 'Approved') &&
+      (u.status == null || statusAllowed(u.status)) &&
+      (!CARRIER_FILTER.length || CARRIER_FILTER.includes(u.carrier)) &&
+      (!CONDITION_FILTER.length || CONDITION_FILTER.includes(u.condition));
+    if (!ok) {
+      u.price = null;
+      skipped++;
+    }
+  }
+  return { batch, skipped, applied };
+}
+
+// Price_Limits tab: product_id | Condition | Floor | Ceiling (blank Condition = all).
+// The tab is optional; without it only the max-change guardrail applies.
+async function readPriceLimits(sheets) {
+  let tab;
+  try {
+    tab = await readTab(sheets, PRICE_LIMITS_TAB);
+  } catch (e) {
+    return {};
+  }
+  if (tab.col['product_id'] == null) return {};
+  return parsePriceLimits_(tab.values, PRICE_LIMITS_TAB);
+}
+
+// Conditions tab (optional): replaces the built-in condition taxonomy when present
+async function readConditions(sheets) {
+  let tab;
+  try {
+    tab = await readTab(sheets, CONDITIONS_TAB);
+  } catch (e) {
+    return [];
+  }
+  if (tab.col['Condition'] == null) return [];
+  return parseConditionTaxonomy_(tab.values, CONDITIONS_TAB);
+}
+
+function readPriceLimitsFile(file) {
+  return file ? parsePriceLimits_(readRows(file), file) : {};
+}
+
+// Returns a reason string when the update breaks a guardrail, '' otherwise.
+function guardrailViolation(u, limits) {
+  const lim = _limitFor_(limits, u.product_id, u.condition);
+  if (lim.floor != null && u.price < lim.floor) return `below floor ${lim.floor}`;
+  if (lim.ceiling != null && u.price > lim.ceiling) return `above ceiling ${lim.ceiling}`;
+
+  if (u.current != null && u.current > 0) {
+    const maxMove = maxChangeFor_(u.current, MAX_CHANGE_PER_RUN_USD, MAX_CHANGE_PER_RUN_PCT);
+    if (Math.abs(u.price - u.current) > maxMove) return `change ${u.price - u.current} exceeds ±${maxMove}`;
+  }
+  return '';
+}
+
+// Lower grades must not be priced above better ones (CONDITIONS order).
+// Returns a description of each inversion for the product after applying its updates.
+function ladderViolations(product_id, proposals) {
+  const prices = {};
+  for (const u of proposals) {
+    if (u.product_id !== product_id) continue;
+    const v = u.price != null ? u.price : u.current;
+    if (v != null) prices[u.condition] = v;
+  }
+  return ladderViolations_(prices, CONDITIONS);
+}
+
 function groupByProduct(updates) {
   // { product_id: [ {name, price} ] }
   const byPid = {};
   for (const u of updates) {
-    const name = SWAPPA_TO_REUSELY[u.condition] || u.condition;
+    const name = CONDITION_TO_REUSELY[u.condition] || u.condition;
     if (!byPid[u.product_id]) byPid[u.product_id] = {};
     // last write wins for each condition
     byPid[u.product_id][name] = u.price;
@@ -101,15 +339,82 @@ function groupByProduct(updates) {
   return byPid;
 }
 
-async function pushToReusely(product_id, conditionsMap) {
-  const url = `${REUSELY_BASE_URL}${PUT_PRICE_PATH}`;
+// Error for a non-2xx response; keeps status, response excerpt and retries for --report
+function httpError(resp, text, retries) {
+  const excerpt = text.slice(0, 300);
+  const err = new Error(`${resp.status} ${excerpt}${retries ? ` (after ${retries} retries)` : ''}`);
+  Object.assign(err, { status: resp.status, response: excerpt, retries });
+  return err;
+}
 
+function reuselyHeaders() {
   const headers = {
     'Content-Type': 'application/json',
     'x-tenant-id': REUSELY_TENANT_ID,
     'x-secret-key': REUSELY_SECRET_KEY,
   };
   if (REUSELY_API_KEY) headers['x-api-key'] = REUSELY_API_KEY;
+  return headers;
+}
+
+// Live prices for a product keyed by lower-cased Reusely condition name, e.g. { 'brand new': 420 }
+async function fetchLivePrices(product_id) {
+  const url = `${REUSELY_BASE_URL}${GET_PRICE_PATH.replace('{productId}', encodeURIComponent(product_id))}`;
+  const { resp, retries } = await httpFetchAsync(fetch, url, { method: 'GET', headers: reuselyHeaders() });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw httpError(resp, text, retries);
+  }
+
+  const json = JSON.parse(text || '{}');
+  const list = (json.data && Array.isArray(json.data.pricing)) ? json.data.pricing : [];
+  const live = {};
+  for (const p of list) {
+    const v = Number(p && p.price);
+    if (!isNaN(v)) live[String(p.name || '').trim().toLowerCase()] = v;
+  }
+  return live;
+}
+
+// Live price under the Reusely name, else under any other spelling of the same grade (undefined when absent)
+function livePriceFor(name, live) {
+  const spec = CONDITION_TAXONOMY.find(c => c.key === conditionKeyFor_(name));
+  const names = [name].concat(spec ? [spec.reusely, spec.key, spec.catalog].concat(spec.aliases || []) : []);
+  const hit = names.map(n => String(n).toLowerCase()).find(n => live[n] != null);
+  return hit == null ? undefined : live[hit];
+}
+
+// Inversions pushing conditionsMap ({ Reusely name: price }) would create: live prices with the pushed ones
+// on top, checked in CONDITIONS order. Inversions the live ladder already has are not reported.
+function ladderAgainstLive(conditionsMap, live) {
+  const before = {};
+  for (const cond of CONDITIONS) {
+    const v = numOrNull(livePriceFor(CONDITION_TO_REUSELY[cond] || cond, live));
+    if (v != null) before[cond] = v;
+  }
+  const after = Object.assign({}, before);
+  for (const [name, price] of Object.entries(conditionsMap)) after[conditionKeyFor_(name) || name] = price;
+  const existing = ladderViolations_(before, CONDITIONS);
+  return ladderViolations_(after, CONDITIONS).filter(v => existing.indexOf(v) < 0);
+}
+
+// Keeps only the conditions whose price differs from live. Returns { changed, diff } where diff
+// lists { name, from, to } for logging.
+function diffAgainstLive(conditionsMap, live) {
+  const changed = {};
+  const diff = [];
+  for (const [name, price] of Object.entries(conditionsMap)) {
+    const from = livePriceFor(name, live);
+    if (from === price) continue;
+    changed[name] = price;
+    diff.push({ name, from: from == null ? null : from, to: price });
+  }
+  return { changed, diff };
+}
+
+async function pushToReusely(product_id, conditionsMap) {
+  const url = `${REUSELY_BASE_URL}${PUT_PRICE_PATH}`;
+  const headers = reuselyHeaders();
 
   const conditions = Object.entries(conditionsMap).map(([name, price]) => ({
     name,
@@ -119,7 +424,7 @@ async function pushToReusely(product_id, conditionsMap) {
 
   const payload = { product_id, conditions };
 
-  const resp = await fetch(url, {
+  const { resp, retries } = await httpFetchAsync(fetch, url, {
     method: 'POST',
     headers,
     body: JSON.stringify(payload),
@@ -127,40 +432,212 @@ async function pushToReusely(product_id, conditionsMap) {
 
   const text = await resp.text();
   if (!resp.ok) {
-    throw new Error(`${resp.status} ${text.slice(0,300)}`);
+    throw httpError(resp, text, retries);
   }
-  return text;
+  return { text, retries, status: resp.status, payload };
+}
+
+function columnLetter(index) {
+  let n = index + 1, s = '';
+  while (n > 0) {
+    s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+// updates: [{ row, status, pushedAt }] → one values.batchUpdate on the Proposals tab.
+// Adds the PushedAt header when the tab doesn't have it yet.
+async function writeBack(sheets, header, updates) {
+  if (!updates.length) return;
+  const names = header.map(h => String(h).trim());
+  const statusCol = names.indexOf('Status');
+  if (statusCol < 0) throw new Error(`Sheet '${SHEET_TAB}' has no Status column to write back to.`);
+  let pushedCol = names.indexOf('PushedAt');
+  const tab = `'${SHEET_TAB.replace(/'/g, "''")}'`;
+
+  const data = [];
+  if (pushedCol < 0) {
+    pushedCol = names.length;
+    data.push({ range: `${tab}!${columnLetter(pushedCol)}1`, values: [['PushedAt']] });
+  }
+  for (const u of updates) {
+    data.push({ range: `${tab}!${columnLetter(statusCol)}${u.row}`, values: [[u.status]] });
+    if (u.pushedAt) data.push({ range: `${tab}!${columnLetter(pushedCol)}${u.row}`, values: [[u.pushedAt]] });
+  }
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId: SHEET_ID,
+    requestBody: { valueInputOption: 'RAW', data },
+  });
+}
+
+function pushedAtNow() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
 }
 
 async function main() {
-  console.log(`Reading prices from sheet: ${SHEET_ID}, tab: ${SHEET_TAB}`);
-  const rows = await readSheet();
-  if (!rows.length) {
-    console.log('No rows with ProposedPrice found. Nothing to push.');
-    return;
+  if (!INPUT_FILE && !SHEET_ID) {
+    console.error('❌ SHEET_ID is missing (set it in GitHub Secrets) – or pass --input <file>.');
+    process.exit(1);
+  }
+  if (!REUSELY_BASE_URL || !REUSELY_TENANT_ID || !REUSELY_SECRET_KEY) {
+    console.error('❌ Reusely env missing: REUSELY_BASE_URL, REUSELY_TENANT_ID, REUSELY_SECRET_KEY.');
+    process.exit(1);
   }
 
+  let limits, all, sheets, header;
+  if (CONDITIONS_FILE) setConditionTaxonomy_(parseConditionTaxonomy_(readRows(CONDITIONS_FILE), CONDITIONS_FILE));
+  if (INPUT_FILE) {
+    console.log(`Reading prices from file: ${INPUT_FILE}`);
+    limits = readPriceLimitsFile(LIMITS_FILE);
+    all = proposalsFromValues(readRows(INPUT_FILE), INPUT_FILE);
+  } else {
+    console.log(`Reading prices from sheet: ${SHEET_ID}, tab: ${SHEET_TAB}`);
+    sheets = getSheetsClient();
+    if (!CONDITIONS_FILE) setConditionTaxonomy_(await readConditions(sheets));
+    limits = await readPriceLimits(sheets);
+    ({ proposals: all, header } = await readSheet(sheets));
+  }
+  if (WRITE_BACK && INPUT_FILE) console.log('--write-back only applies to the sheet source; ignored with --input.');
+  const writeBackOn = WRITE_BACK && !INPUT_FILE && !DRY_RUN;
+  const { batch: proposals, skipped, applied } = applyFilters(all);
+  const runLabel = ALL_RUNS ? 'all runs' : `run ${(proposals[0] && (proposals[0].runId || proposals[0].when)) || '–'}`;
+  console.log(`Selected ${runLabel}; ${skipped} row(s) filtered out by approval/status/carrier/condition, ${applied} already applied.`);
+
+  // One entry per product (and per guardrail-skipped condition) for --report
+  const results = [];
+  const inverted = {};
+  for (const u of proposals) {
+    if (u.price == null) continue;
+    const why = guardrailViolation(u, limits);
+    if (why) {
+      say(`⛔ Skipped product ${u.product_id} ${u.condition} → ${u.price}: ${why}`);
+      results.push({ product_id: u.product_id, result: 'skipped', reason: `${u.condition} → ${u.price}: ${why}` });
+      u.price = null;
+    }
+  }
+  const rows = proposals.filter(u => u.price != null).filter(u => {
+    if (inverted[u.product_id] == null) {
+      inverted[u.product_id] = ladderViolations(u.product_id, proposals);
+      if (inverted[u.product_id].length) {
+        say(`⛔ Skipped product ${u.product_id}: inverted condition ladder (${inverted[u.product_id].join(', ')})`);
+        results.push({ product_id: u.product_id, result: 'skipped', reason: `inverted condition ladder (${inverted[u.product_id].join(', ')})` });
+      }
+    }
+    return !inverted[u.product_id].length;
+  });
+
   const grouped = groupByProduct(rows);
   const pids = Object.keys(grouped).map(Number);
-  console.log(`Found ${pids.length} products to update.`);
+  if (!rows.length) console.log('No rows with ProposedPrice found. Nothing to push.');
+  else console.log(`Found ${pids.length} products with proposals${DRY_RUN ? ' (dry run – nothing will be written)' : ''}.`);
 
-  let ok = 0, fail = 0;
+  let ok = 0, fail = 0, unchanged = 0;
+  const statusUpdates = [];
+  let writeBackFailed = false;
+  // Status/PushedAt for every sheet row behind the product's pushed conditions
+  const markRows = (pid, tag, pushedAt) => {
+    if (!writeBackOn) return;
+    for (const u of rows) {
+      if (u.product_id === pid && u.row && u.price != null) statusUpdates.push({ row: u.row, status: [u.status, tag].filter(Boolean).join(' | '), pushedAt });
+    }
+  };
   for (const pid of pids) {
+    const entry = { product_id: pid, result: '', diff: [], payload: null, httpStatus: null, response: '', retries: 0 };
+    results.push(entry);
     try {
-      const res = await pushToReusely(pid, grouped[pid]);
+      const live = await fetchLivePrices(pid);
+      // Rows without a CurrentPrice (changed-only CSV) get the max-change check against the live price
+      for (const u of rows) {
+        if (u.product_id !== pid || u.current != null || u.price == null) continue;
+        const name = CONDITION_TO_REUSELY[u.condition] || u.condition;
+        const why = guardrailViolation(Object.assign({}, u, { current: numOrNull(livePriceFor(name, live)) }), limits);
+        if (!why) continue;
+        say(`⛔ Skipped product ${pid} ${u.condition} → ${u.price}: ${why} (vs live)`);
+        results.splice(results.indexOf(entry), 0, { product_id: pid, result: 'skipped', reason: `${u.condition} → ${u.price}: ${why} (vs live)` });
+        delete grouped[pid][name];
+        u.price = null;
+      }
+      if (!Object.keys(grouped[pid]).length) {
+        results.splice(results.indexOf(entry), 1);
+        continue;
+      }
+      // What is left gets pushed on top of live prices it was never checked against (grades may have been dropped)
+      const invertedLive = ladderAgainstLive(grouped[pid], live);
+      if (invertedLive.length) {
+        say(`⛔ Skipped product ${pid}: inverted condition ladder vs live (${invertedLive.join(', ')})`);
+        Object.assign(entry, { result: 'skipped', reason: `inverted condition ladder vs live (${invertedLive.join(', ')})` });
+        continue;
+      }
+      const { changed, diff } = diffAgainstLive(grouped[pid], live);
+      entry.diff = diff;
+      if (!diff.length) {
+        unchanged++;
+        entry.result = 'unchanged';
+        markRows(pid, 'APPLIED (already live)', pushedAtNow());
+        continue;
+      }
+
+      const summary = diff.map(d => `${d.name} ${d.from == null ? '–' : d.from} → ${d.to}`).join(', ');
+      if (DRY_RUN) {
+        ok++;
+        entry.result = 'would-update';
+        entry.payload = { product_id: pid, conditions: Object.entries(changed).map(([name, price]) => ({ name, price, is_custom_price: 1 })) };
+        say(`🔎 Would update product ${pid}: ${summary}`);
+        continue;
+      }
+
+      const res = await pushToReusely(pid, changed);
       ok++;
-      console.log(`✅ Updated product ${pid}`);
+      Object.assign(entry, { result: 'updated', payload: res.payload, httpStatus: res.status, response: res.text.slice(0, 300), retries: res.retries });
+      markRows(pid, `APPLIED${res.retries ? ` (${res.retries} retries)` : ''}`, pushedAtNow());
+      say(`✅ Updated product ${pid}: ${summary}${res.retries ? ` (${res.retries} retries)` : ''}`);
     } catch (e) {
       fail++;
-      console.log(`❌ Failed product ${pid}: ${e.message}`);
+      Object.assign(entry, { result: 'failed', httpStatus: e.status || null, response: e.response || e.message, retries: e.retries || 0 });
+      if (entry.diff.length && !entry.payload) {
+        entry.payload = { product_id: pid, conditions: entry.diff.map(d => ({ name: d.name, price: d.to, is_custom_price: 1 })) };
+      }
+      markRows(pid, `APPLY FAILED (${String(e.message).replace(/\s+/g, ' ')})`, '');
+      say(`❌ Failed product ${pid}: ${e.message}`);
+    }
+  }
+
+  if (statusUpdates.length) {
+    try {
+      await writeBack(sheets, header, statusUpdates);
+      console.log(`Wrote back status for ${statusUpdates.length} row(s) to '${SHEET_TAB}'.`);
+    } catch (e) {
+      console.log(`❌ Write-back to '${SHEET_TAB}' failed: ${e.message}`);
+      writeBackFailed = true;
     }
   }
 
-  console.log(`Done. Success: ${ok}, Failed: ${fail}`);
-  if (fail > 0) process.exit(1);
+  console.log(`Done. ${DRY_RUN ? 'Would update' : 'Success'}: ${ok}, Unchanged: ${unchanged}, Failed: ${fail}`);
+  console.log(`API calls: ${HTTP_STATS.calls}, retries: ${HTTP_STATS.retries}`);
+  if (REPORT_FILE) {
+    fs.writeFileSync(REPORT_FILE, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      source: INPUT_FILE || `sheet ${SHEET_ID} / ${SHEET_TAB}`,
+      dryRun: DRY_RUN,
+      summary: { [DRY_RUN ? 'wouldUpdate' : 'updated']: ok, unchanged, failed: fail, skipped: results.filter(r => r.result === 'skipped').length },
+      api: { calls: HTTP_STATS.calls, retries: HTTP_STATS.retries },
+      products: results,
+    }, null, 2) + '\n');
+    console.log(`Report written to ${REPORT_FILE}`);
+  }
+  if (fail > 0 || writeBackFailed) process.exit(1);
 }
 
-main().catch(err => {
-  console.error('Script failed:', err);
-  process.exit(1);
-});
+module.exports = {
+  proposalsFromValues, statusAllowed, alreadyApplied, applyFilters, writeBack, latestRun, guardrailViolation, ladderViolations, groupByProduct,
+  livePriceFor, ladderAgainstLive,
+  fetchLivePrices, diffAgainstLive, pushToReusely,
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,139 @@
+/******************************************************
+ * Reusely – shared HTTP layer (Apps Script + Node)
+ * - Retries 429 / 408 / 5xx and network errors/timeouts
+ * - Exponential backoff with jitter, honors Retry-After
+ * - Requests-per-second cap
+ * - Counts calls/retries in HTTP_STATS for run summaries
+ * Apps Script: add this file to the project next to reusely-pricing.js (httpFetch_, httpFetchAll_).
+ * Node: require("./reusely-http") (httpFetchAsync).
+ ******************************************************/
+
+const HTTP_POLICY = {
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  requestsPerSecond: 5,   // 0 = no cap
+  timeoutMs: 30000,       // Node only; UrlFetchApp has its own fixed timeout
+};
+
+// Totals for the current execution / process
+const HTTP_STATS = { calls: 0, retries: 0 };
+
+function httpIsRetryable_(code){ return code===429 || code===408 || (code>=500 && code<600); }
+
+// Delay before retry number `attempt` (0-based). Retry-After (seconds or HTTP date) wins when present.
+function httpRetryDelayMs_(attempt, retryAfter, policy){
+  if (retryAfter!=null && retryAfter!==""){
+    const secs = Number(retryAfter);
+    if (!isNaN(secs)) return Math.min(policy.maxDelayMs, Math.max(0, secs*1000));
+    const at = Date.parse(retryAfter);
+    if (!isNaN(at)) return Math.min(policy.maxDelayMs, Math.max(0, at - Date.now()));
+  }
+  const exp = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+  return Math.round(exp/2 + Math.random()*exp/2);
+}
+
+let _httpNextSlotAt_ = 0;
+function _httpThrottleWaitMs_(policy){
+  const gap = policy.requestsPerSecond>0 ? 1000/policy.requestsPerSecond : 0;
+  const now = Date.now();
+  const wait = Math.max(0, _httpNextSlotAt_ - now);
+  _httpNextSlotAt_ = now + wait + gap;
+  return wait;
+}
+
+function _httpHeader_(headers, name){
+  if (!headers) return null;
+  if (typeof headers.get==="function") return headers.get(name);
+  const k = Object.keys(headers).find(h=>h.toLowerCase()===name.toLowerCase());
+  return k ? headers[k] : null;
+}
+
+/////////////////////// APPS SCRIPT ///////////////////////
+
+// UrlFetchApp.fetch with retries. Returns { resp, retries }; throws the last error if every attempt threw.
+function httpFetch_(url, params, policy){
+  policy = policy || HTTP_POLICY;
+  const opts = Object.assign({}, params, { muteHttpExceptions:true });
+  for (let attempt=0; ; attempt++){
+    const wait = _httpThrottleWaitMs_(policy);
+    if (wait) Utilities.sleep(wait);
+    HTTP_STATS.calls++;
+
+    let resp = null, err = null;
+    try{ resp = UrlFetchApp.fetch(url, opts); }catch(e){ err = e; }
+    if (resp && !httpIsRetryable_(resp.getResponseCode())) return { resp, retries: attempt };
+    if (attempt>=policy.maxRetries){
+      if (err) throw err;
+      return { resp, retries: attempt };
+    }
+
+    HTTP_STATS.retries++;
+    Utilities.sleep(httpRetryDelayMs_(attempt, resp ? _httpHeader_(resp.getHeaders(), "Retry-After") : null, policy));
+  }
+}
+
+// UrlFetchApp.fetchAll in chunks of `chunkSize`. Requests are { url, ...params }. Retryable responses
+// (and chunks that threw) are retried one by one through httpFetch_. Returns [{ resp, retries }] in
+// request order; resp is null when every attempt threw.
+function httpFetchAll_(requests, policy, chunkSize){
+  policy = policy || HTTP_POLICY;
+  const out = [];
+  for (let i=0; i<requests.length; i+=chunkSize){
+    const chunk = requests.slice(i, i+chunkSize).map(r=>Object.assign({}, r, { muteHttpExceptions:true }));
+    // Reserve one rate-limit slot per request and wait for the last one, keeping the average rate
+    let wait = 0;
+    chunk.forEach(()=>{ wait = _httpThrottleWaitMs_(policy); });
+    if (wait) Utilities.sleep(wait);
+    HTTP_STATS.calls += chunk.length;
+
+    let resps;
+    try{ resps = UrlFetchApp.fetchAll(chunk); }catch(e){ resps = chunk.map(()=>null); }
+    resps.forEach((resp, j)=>{
+      if (resp && !httpIsRetryable_(resp.getResponseCode())){ out.push({ resp, retries: 0 }); return; }
+      HTTP_STATS.retries++;
+      Utilities.sleep(httpRetryDelayMs_(0, resp ? _httpHeader_(resp.getHeaders(), "Retry-After") : null, policy));
+      const params = Object.assign({}, chunk[j]);
+      delete params.url;
+      try{
+        const r = httpFetch_(chunk[j].url, params, policy);
+        out.push({ resp: r.resp, retries: r.retries + 1 });
+      }catch(e){ out.push({ resp: null, retries: policy.maxRetries + 1 }); }
+    });
+  }
+  return out;
+}
+
+/////////////////////// NODE ///////////////////////
+
+// fetchImpl is node-fetch (or global fetch). Resolves { resp, retries }; rejects with the last error
+// if every attempt threw (network error or timeout).
+async function httpFetchAsync(fetchImpl, url, init, policy){
+  policy = policy || HTTP_POLICY;
+  const sleep = ms => new Promise(res=>setTimeout(res, ms));
+  for (let attempt=0; ; attempt++){
+    const wait = _httpThrottleWaitMs_(policy);
+    if (wait) await sleep(wait);
+    HTTP_STATS.calls++;
+
+    const ctrl = typeof AbortController!=="undefined" ? new AbortController() : null;
+    const timer = ctrl && policy.timeoutMs ? setTimeout(()=>ctrl.abort(), policy.timeoutMs) : null;
+    let resp = null, err = null;
+    try{ resp = await fetchImpl(url, Object.assign({}, init, ctrl ? { signal: ctrl.signal } : {})); }
+    catch(e){ err = e; }
+    finally{ if (timer) clearTimeout(timer); }
+
+    if (resp && !httpIsRetryable_(resp.status)) return { resp, retries: attempt };
+    if (attempt>=policy.maxRetries){
+      if (err) throw err;
+      return { resp, retries: attempt };
+    }
+
+    HTTP_STATS.retries++;
+    await sleep(httpRetryDelayMs_(attempt, resp ? _httpHeader_(resp.headers, "retry-after") : null, policy));
+  }
+}
+
+if (typeof module!=="undefined" && module.exports){
+  module.exports = { HTTP_POLICY, HTTP_STATS, httpIsRetryable_, httpRetryDelayMs_, httpFetchAsync };
+}
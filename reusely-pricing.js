@@ -4,38 +4,105 @@
  * - Matches product_id using the Reusely_Catalog tab
  * - Computes ProposedPrice via your rank rules
  * - NEW condition: always target leader - $20 if not #1
+ * - Guardrails: per-product floors/ceilings + max change per run
+ * - Pricing_Rules tab overrides the pricing constants per segment
+ * - Named pricing strategies (chase leader, hold rank, match, within %, max margin)
+ * - Condition ladder pass (New > Mint > Good > Fair > Broken) before applying
+ * - Storage-tier / Unlocked-vs-carrier consistency pass (flag or fix; carriers outside a
+ *   one-carrier run are compared at their Reusely_Catalog prices)
+ * - Price_History log of every applied change + revert of a whole run
+ * - Approval column (Approved / Rejected / Pending) with auto-approve rules
+ * - All API calls go through reusely-http.js (retry/backoff/rate limit)
+ * - Paginated catalog refresh that keeps price + user columns
+ * - Model_Aliases tab + Unmatched tab with fuzzy catalog candidates
+ * - Anomaly checks on report data; flagged rows go to Quarantine and are never auto-applied
+ * - Report_History archive of every run's Rank/Δ; Trend column + optional damping of one-off moves
+ * - Simulate: replay Report_History under Pricing_Rules vs Pricing_Rules_Candidate → Simulation tab
+ * - Run_Summary tab: status counts, $ movement and biggest movers per carrier/condition vs the previous run
+ * - Current prices fetched once per product per run (bulk, cached)
+ * - Pure pricing logic lives in pricing-core.js (add it to the project too)
  * - Optional: Apply updates to Reusely via Admin API (v2)
- * - Sequential runner (one carrier per execution) to avoid timeouts
- * - CSV exporter that mirrors Reusely_Catalog and includes ONLY changed rows
+ * - Conditions tab: one Swappa ↔ Reusely grade mapping (extra / renamed grades need no code)
+ * - Carriers tab drives the normalizer, runners and the "Run carrier…" picker
+ * - Sequential runner: row chunks under a time budget, resumes via triggers (a killed chunk's rows are
+ *   rolled back and re-run; prices it already pushed stay in Price_History and are skipped), Run_Status + cancel
+ * - CSV exporter that mirrors Reusely_Catalog and includes ONLY changed rows (Approved, not quarantined)
  ******************************************************/
 
 /////////////////////// CONFIG ///////////////////////
 
-const REPORT_TABS = [
-  { carrier: "Unlocked", tabAll: "Report_Unlocked_AllGB", tabLegacy: "Report_Unlocked" },
-  { carrier: "AT&T",     tabAll: "Report_ATT_AllGB",      tabLegacy: "Report_ATT"      },
-  { carrier: "T-Mobile", tabAll: "Report_TMobile_AllGB",  tabLegacy: "Report_TMobile"  },
-  { carrier: "Verizon",  tabAll: "Report_Verizon_AllGB",  tabLegacy: "Report_Verizon"  },
-];
+// Carriers tab: Name | Aliases | AllGB Tab | Legacy Tab | Enabled (one row per carrier, see parseCarriers_)
+// Aliases = comma-separated substrings of catalog/report carrier names; Enabled = blank/yes or no.
+// Without the tab the built-in DEFAULT_CARRIERS (Unlocked, AT&T, T-Mobile, Verizon) are used.
+const CARRIERS_SHEET = "Carriers";
+
+// Conditions tab: Condition | Reusely Name | Catalog Column | Aliases, best grade first (see parseConditionTaxonomy_).
+// Condition = Swappa report grade ("<Condition> Rank" / "<Condition> Δ"); without the tab the built-in
+// New→Brand New, Mint→Flawless, Good, Fair, Broken taxonomy (DEFAULT_CONDITION_TAXONOMY) is used.
+const CONDITIONS_SHEET = "Conditions";
+
+// Report/catalog column names and the pricing defaults live in pricing-core.js
+// (shared with the Node scripts); Pricing_Rules tab can override the defaults per segment.
+
+// Pricing_Rules tab: Rule | Carrier | Model | Storage | Condition | Strategy | StrategyParam | PriceBump | TrimLeadThreshold | NewUndercut
+// Blank scope = any; Model accepts * wildcards; most specific matching row wins; blank values fall back to defaults.
+const PRICING_RULES_SHEET = "Pricing_Rules";
+// Simulate: same layout as Pricing_Rules; the rule set to compare against the live one
+const PRICING_RULES_CANDIDATE_SHEET = "Pricing_Rules_Candidate";
+const SIMULATION_SHEET = "Simulation";
+
+// Guardrails (Price_Limits tab: product_id | Condition | Floor | Ceiling; blank Condition = all)
+const PRICE_LIMITS_SHEET = "Price_Limits";
+const MAX_CHANGE_PER_RUN_USD = 50;
+const MAX_CHANGE_PER_RUN_PCT = 20;
+const GUARDRAIL_MODE = "clamp"; // "clamp" = pull to the limit, "hold" = keep current price
+
+// Condition ladder: each grade must sit at least this far below the grade above it (CONDITIONS order)
+const ENFORCE_CONDITION_LADDER = true;
+const CONDITION_LADDER_MIN_GAP = 5;
+
+// Storage / carrier consistency within one model + condition
+const CONSISTENCY_FIX = false;     // false = flag only, true = raise the offending price
+const STORAGE_STEP_MIN = 10;       // each storage tier ≥ the next smaller tier + this
+const UNLOCKED_PREMIUM_MIN = 0;    // Unlocked ≥ every carrier-locked price + this
+
+// Anomaly checks on report rows (stale report, non-numeric rank, duplicates, outlier Δ).
+// Flagged rows are listed in Quarantine and left Pending – only a reviewer's Approved applies them.
+const QUARANTINE_SHEET = "Quarantine";
+const ANOMALY_MAX_DELTA_RATIO = 1;         // |Δ| > this × current price (0 = off)
+const ANOMALY_MAX_REPORT_AGE_HOURS = 48;   // report date in the title row older than this (0 = off)
+
+// Report_History tab: every run's Rank/Δ per carrier/model/storage/condition (REPORT_HISTORY_HEADER),
+// pruned after REPORT_HISTORY_KEEP_DAYS. Feeds the Trend column and damping.
+const REPORT_HISTORY_SHEET = "Report_History";
+const REPORT_HISTORY_KEEP_DAYS = 60;
+// Damping: "off" = follow every move, "snapshots" = only once the competitor price has stayed past ours
+// for DAMPING_SNAPSHOTS consecutive runs, "hours" = only once it has for DAMPING_HOURS
+const DAMPING_MODE = "off";
+const DAMPING_SNAPSHOTS = 3;
+const DAMPING_HOURS = 24;
+
+// Run_Summary tab: rebuilt from the run's Proposals rows after every build (summarizeProposals_).
+// The previous run's totals for the "(prev)" columns are kept in a "Previous run" block below the table.
+const RUN_SUMMARY_SHEET = "Run_Summary";
+const RUN_SUMMARY_KEY = "REUSELY_RUN_SUMMARY_RUN_ID";   // RunId the tab currently summarizes
+
+// Catalog sheet (optional price columns: PRICE_COLS_IN_CATALOG in pricing-core.js)
+const CATALOG_SHEET = "Reusely_Catalog";
 
-const COL_MODEL   = "Model";
-const COL_STORAGE = "Storage";
-const CONDITIONS  = ["New", "Mint", "Good", "Fair", "Broken"];
+// Model matching: Model_Aliases (Report Model | Catalog Model | Carrier) is checked before the
+// strict/loose catalog keys; unmatched report rows land in Unmatched with fuzzy candidates.
+const MODEL_ALIASES_SHEET = "Model_Aliases";
+const UNMATCHED_SHEET = "Unmatched";
+const UNMATCHED_CANDIDATES = 3;
 
-// Pricing logic
-const PRICE_BUMP_ABOVE_SECOND = 1;
-const TRIM_LEAD_THRESHOLD = 5.0;
-const NEW_UNDERCUT_LEADER_BY = 20;
+// Catalog refresh: "new" = fetch prices only for products not already in the sheet,
+// "all" = refetch every product, "none" = carry over existing prices only
+const CATALOG_REFRESH_PRICES = "new";
+const CATALOG_MAX_PAGES = 200;
 
-// Catalog sheet & optional price columns
-const CATALOG_SHEET = "Reusely_Catalog";
-const PRICE_COLS_IN_CATALOG = {
-  "New":     "Brand New",
-  "Mint":    "Flawless",
-  "Good":    "Good",
-  "Fair":    "Fair",
-  "Broken":  "Broken",
-};
+// Bulk current-price fetch (UrlFetchApp.fetchAll) when the catalog has no price columns
+const PRICE_FETCH_CHUNK = 20;
 
 // Secrets / endpoints to store in Document Properties
 const SECRET_KEYS = [
@@ -46,6 +113,8 @@ const SECRET_KEYS = [
   "LIST_PRODUCTS_ENDPOINT",
   "GET_PRICE_BY_PRODUCTID",
   "PUT_PRICE_BY_PRODUCTID",
+  "HTTP_MAX_RETRIES",
+  "HTTP_REQUESTS_PER_SECOND",
 ];
 
 const DEFAULT_ENDPOINTS = {
@@ -54,9 +123,30 @@ const DEFAULT_ENDPOINTS = {
   PUT_PRICE_BY_PRODUCTID: "/api/v2/admin/pricing",                       // v2 write
 };
 
+// Document properties that override HTTP_POLICY fields (reusely-http.js)
+const HTTP_SETTING_KEYS = {
+  HTTP_MAX_RETRIES: "maxRetries",
+  HTTP_REQUESTS_PER_SECOND: "requestsPerSecond",
+};
+
 // Sequential runner state
 const QUEUE_KEY = "REUSELY_SEQ_QUEUE";
 const APPLY_FLAG_KEY = "REUSELY_SEQ_APPLY";
+const RUN_ID_KEY = "REUSELY_SEQ_RUN_ID";
+const OFFSET_KEY = "REUSELY_SEQ_OFFSET";      // next report data row of the carrier at the head of the queue
+const CHUNK_KEY = "REUSELY_SEQ_CHUNK";        // sheet row counts before the running chunk (rolled back if it gets killed)
+const SEQ_CHUNK_ROWS = 100;                    // report rows per chunk (extended to finish the last model)
+const SEQ_TIME_BUDGET_MS = 4.5 * 60 * 1000;    // stop and reschedule well before the 6-min execution limit
+const SEQ_LOCK_WAIT_MS = 5000;
+const RUN_STATUS_SHEET = "Run_Status";
+
+// Approval workflow: price moves are auto-Approved or left Pending; reviewers set Approved / Rejected
+const APPROVAL_STATES = ["Approved","Rejected","Pending"];
+const AUTO_APPROVE_MAX_CHANGE_USD = 5;        // |new - current| ≤ this → Approved
+const AUTO_APPROVE_REASONS = ["TRIM LEAD"];   // strategy reasons that are always Approved (rank-1 trims)
+
+// Append-only log of applied price changes (used by Revert)
+const PRICE_HISTORY_SHEET = "Price_History";
 
 /////////////////////// MENU ///////////////////////
 
@@ -67,20 +157,20 @@ function onOpen() {
     .addSeparator()
     .addItem("Dry Run – Sequential (safe)", "startSequentialDryRun")
     .addItem("Apply – Sequential (safe)", "startSequentialApply")
+    .addItem("Cancel running sequence", "cancelSequentialRun")
+    .addItem("Apply approved proposals", "applyApprovedProposals")
     .addSeparator()
-    .addItem("Dry Run – Unlocked only", "dryRunUnlocked")
-    .addItem("Apply – Unlocked only", "applyUnlocked")
-    .addItem("Dry Run – AT&T only", "dryRunATT")
-    .addItem("Apply – AT&T only", "applyATT")
-    .addItem("Dry Run – T-Mobile only", "dryRunTMobile")
-    .addItem("Apply – T-Mobile only", "applyTMobile")
-    .addItem("Dry Run – Verizon only", "dryRunVerizon")
-    .addItem("Apply – Verizon only", "applyVerizon")
+    .addItem("Run carrier…", "showCarrierPicker")
     .addSeparator()
     .addItem("Set Secrets & Endpoints", "promptAndSetSecrets")
     .addItem("Refresh Reusely_Catalog from API", "refreshCatalogFromApi")
+    .addItem("Confirm Unmatched → Model_Aliases", "confirmUnmatchedAliases")
     .addSeparator()
     .addItem("Export CSV (changed only)", "exportCsvForReuselyChangedOnly")
+    .addItem("Simulate Pricing_Rules_Candidate", "simulatePricingRules")
+    .addSeparator()
+    .addItem("Revert last apply", "revertLastApply")
+    .addItem("Revert run…", "revertRunPrompt")
     .addToUi();
 }
 
@@ -92,7 +182,7 @@ function promptAndSetSecrets() {
 
   for (const k of SECRET_KEYS) {
     const existing = props.getProperty(k) || "";
-    const def = DEFAULT_ENDPOINTS[k] || "";
+    const def = DEFAULT_ENDPOINTS[k] || (HTTP_SETTING_KEYS[k] ? String(HTTP_POLICY[HTTP_SETTING_KEYS[k]]) : "");
     const current = existing || def;
 
     const msg =
@@ -116,171 +206,161 @@ function promptAndSetSecrets() {
 function _nowIso() {
   return Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm:ss");
 }
+function _newRunId_() {
+  return Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyyMMdd-HHmmss");
+}
+function _httpPolicy_(){
+  const props = PropertiesService.getDocumentProperties();
+  const policy = Object.assign({}, HTTP_POLICY);
+  for (const k in HTTP_SETTING_KEYS){
+    const v = _numOrNull_(props.getProperty(k));
+    if (v!=null) policy[HTTP_SETTING_KEYS[k]] = v;
+  }
+  return policy;
+}
+function _httpSummary_(){ return `\nAPI calls: ${HTTP_STATS.calls}, retries: ${HTTP_STATS.retries}`; }
 function _sheetByName(name) { try { return SpreadsheetApp.getActive().getSheetByName(name); } catch(e){ return null; } }
 function _ensureSheet(name) { const ss = SpreadsheetApp.getActive(); return ss.getSheetByName(name) || ss.insertSheet(name); }
 function _clearExceptHeader(sh) { const lr = sh.getLastRow(); if (lr>1) sh.getRange(2,1,lr-1, sh.getLastColumn()).clearContent(); }
-function _titleRowToIndex(h) { const m={}; h.forEach((x,i)=>m[String(x).trim()]=i); return m; }
-function _norm(s){ return String(s||"").trim(); }
-function _normalizeCarrier(c){ c=(c||"").toLowerCase(); if(c.includes("unlocked"))return"Unlocked"; if(c.includes("at&t")||c.includes("att"))return"AT&T"; if(c.includes("t-mobile")||c.includes("tmobile"))return"T-Mobile"; if(c.includes("verizon"))return"Verizon"; return c; }
-function _gbNormalize(s){ s=String(s||"").toUpperCase().replace(/\s+/g,""); const m=s.match(/(\d+)\s*GB/i); return m?`${m[1]}GB`:s; }
-
-// Normalize SE naming only
-function _cleanCatalogModelName_(s){
-  const x=(s||"").trim().replace(/\s+/g," ");
-  return x
-    .replace(/\bSE \(2(nd)?\s*Gen(.*)?\)/i,"SE (2020)")
-    .replace(/\bSE \(3(rd)?\s*Gen(.*)?\)/i,"SE (2022)")
-    .replace(/\bSE 2(.*)?\b/i,"SE (2020)")
-    .replace(/\bSE 3(.*)?\b/i,"SE (2022)");
-}
-
-// Strip carrier & size from product_name to get model-only
-function _extractModelFromCatalog_(productName, networkName, sizeName){
-  let s = String(productName || "");
-  if (sizeName) {
-    const reSize = new RegExp(String(sizeName).replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&"), "i");
-    s = s.replace(reSize, "");
-  }
-  const carrierTokens = [
-    "Unlocked","AT&T","ATT","T-Mobile","TMobile","Verizon","Cricket","Spectrum","MetroPCS","MetroPcs","Metro",
-    "Straight Talk","TracFone","Other","Sprint"
-  ];
-  if (networkName) {
-    const reNet = new RegExp(String(networkName).replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&"), "i");
-    s = s.replace(reNet, "");
-  }
-  carrierTokens.forEach(tok=>{
-    const re = new RegExp(`\\b${tok.replace(/[-/\\^$*+?.()|[\]{}]/g,"\\$&")}\\b`,"i");
-    s = s.replace(re,"");
-  });
-  s = s.replace(/\b\d+\s*GB\b/gi,"");
-  s = s.replace(/\s+/g," ").trim();
-  return _cleanCatalogModelName_(s);
-}
 
 /////////////////////// CATALOG INDEX ///////////////////////
 
 function buildCatalogIndex_() {
+  loadCarriers_();
+  loadConditions_();
   const sh = _sheetByName(CATALOG_SHEET);
   if (!sh) throw new Error(`Missing sheet: ${CATALOG_SHEET}. Use "Refresh Reusely_Catalog from API" or import CSV first.`);
-  const values = sh.getDataRange().getValues();
-  if (values.length < 2) throw new Error("Reusely_Catalog has no data.");
+  const cat = indexCatalogValues_(sh.getDataRange().getValues());
+  return { idx: cat.idx, priceLookup: cat.priceLookup, aliases: loadModelAliases_(), modelsByCarrier: cat.modelsByCarrier };
+}
 
-  const header = values[0];
-  const col = _titleRowToIndex(header);
-  ["product_id","product_name","network_name","size_name"].forEach(r=>{
-    if (col[r]==null) throw new Error(`Reusely_Catalog missing required column: ${r}`);
-  });
+/////////////////////// MODEL ALIASES & UNMATCHED ///////////////////////
+
+// { "<report model lower>|<carrier or blank>": "<catalog model>" }
+function loadModelAliases_(){
+  loadCarriers_();
+  const sh = _sheetByName(MODEL_ALIASES_SHEET);
+  return sh ? parseModelAliases_(sh.getDataRange().getValues(), MODEL_ALIASES_SHEET) : {};
+}
+
+function ensureUnmatchedSheet_(){
+  const sh = _ensureSheet(UNMATCHED_SHEET);
+  const header = ["When","Carrier","Model","Storage"];
+  for (let i=1; i<=UNMATCHED_CANDIDATES; i++) header.push(`Candidate ${i}`, `Score ${i}`);
+  header.push("Confirm");
+  if (sh.getLastRow()===0) sh.appendRow(header);
+  return sh;
+}
+
+function writeUnmatched_(rows){
+  if (!rows.length) return;
+  const sh = ensureUnmatchedSheet_();
+  sh.getRange(sh.getLastRow()+1, 1, rows.length, rows[0].length).setValues(rows);
+}
 
-  const rows = values.slice(1);
-  const idx = {};
-  const priceCols = {};
-  for (const cond of CONDITIONS) {
-    const label = PRICE_COLS_IN_CATALOG[cond];
-    if (label && col[label]!=null) priceCols[cond] = col[label];
+function ensureQuarantineSheet_(){
+  const sh = _ensureSheet(QUARANTINE_SHEET);
+  if (sh.getLastRow()===0) sh.appendRow(QUARANTINE_HEADER);
+  return sh;
+}
+
+function writeQuarantine_(rows){
+  if (!rows.length) return;
+  const sh = ensureQuarantineSheet_();
+  sh.getRange(sh.getLastRow()+1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+// Rows with "Confirm" filled in (a catalog model, or 1..N to pick that candidate) are appended
+// to Model_Aliases and removed from Unmatched.
+function confirmUnmatchedAliases(){
+  const ui = SpreadsheetApp.getUi();
+  const sh = _sheetByName(UNMATCHED_SHEET);
+  if (!sh || sh.getLastRow()<2){ ui.alert("Nothing in Unmatched."); return; }
+  const values = sh.getDataRange().getValues();
+  const col = _titleRowToIndex(values[0]);
+
+  const aliases = [];
+  const done = [];
+  for (let i=1; i<values.length; i++){
+    const r = values[i];
+    const pick = _norm(r[col["Confirm"]]);
+    if (!pick) continue;
+    const target = /^\d+$/.test(pick) && col[`Candidate ${pick}`]!=null ? _norm(r[col[`Candidate ${pick}`]]) : pick;
+    if (!target) continue;
+    aliases.push([_norm(r[col["Model"]]), target, _norm(r[col["Carrier"]])]);
+    done.push(i+1);
   }
-  const priceLookup = {};
-
-  rows.forEach(r=>{
-    const pid  = _norm(r[col["product_id"]]);
-    const name = _norm(r[col["product_name"]]);
-    const net  = _normalizeCarrier(_norm(r[col["network_name"]]));
-    const size = _gbNormalize(_norm(r[col["size_name"]]));
-    if (!pid || !name || !net) return;
-
-    const modelOnly = _extractModelFromCatalog_(name, net, size);
-    if (!modelOnly) return;
-
-    const keyStrict = `${modelOnly}|${net}|${size}`;
-    idx[keyStrict] = { product_id: pid, model: modelOnly, network_name: net, size_name: size };
-
-    const keyLoose = `${modelOnly}|${net}|`;
-    if (!idx[keyLoose]) idx[keyLoose] = { product_id: pid, model: modelOnly, network_name: net, size_name: size };
-
-    if (Object.keys(priceCols).length) {
-      if (!priceLookup[keyStrict]) priceLookup[keyStrict] = {};
-      for (const cond of CONDITIONS) {
-        const ix = priceCols[cond];
-        if (ix!=null) {
-          const v = Number(r[ix]) || 0;
-          priceLookup[keyStrict][cond] = v;
-        }
-      }
-    }
-  });
+  if (!aliases.length){ ui.alert("No rows have a value in Confirm."); return; }
 
-  return { idx, priceLookup };
+  const ash = _ensureSheet(MODEL_ALIASES_SHEET);
+  if (ash.getLastRow()===0) ash.appendRow(["Report Model","Catalog Model","Carrier"]);
+  ash.getRange(ash.getLastRow()+1, 1, aliases.length, 3).setValues(aliases);
+  done.reverse().forEach(rowNo=>sh.deleteRow(rowNo));
+  ui.alert(`Added ${aliases.length} alias(es) to ${MODEL_ALIASES_SHEET}.`);
 }
 
 /////////////////////// REPORT READING ///////////////////////
 
+// Records with rec.anomalies set (see flagReportAnomalies_)
 function readReportRows_(tabName) {
+  loadConditions_();
   const sh = _sheetByName(tabName);
   if (!sh) return [];
   const values = sh.getDataRange().getValues();
-  if (values.length < 2) return [];
-
-  const header = values[1]; // row 2 are headers
-  const col = _titleRowToIndex(header);
-  if (col[COL_MODEL]==null) throw new Error(`${tabName} missing column: ${COL_MODEL}`);
-
-  const hasStorage = (col[COL_STORAGE]!=null);
-  const out = [];
-
-  for (let i=2; i<values.length; i++){
-    const row = values[i];
-    const model = _norm(row[col[COL_MODEL]]);
-    if (!model) continue;
-    const storage = hasStorage ? _gbNormalize(_norm(row[col[COL_STORAGE]])) : "";
-
-    for (const cond of CONDITIONS) {
-      const rankLabel = `${cond} Rank`;
-      const dLabel    = `${cond} Δ`;
-      if (col[rankLabel]==null || col[dLabel]==null) continue;
-
-      const rankRaw = row[col[rankLabel]];
-      const dRaw    = row[col[dLabel]];
-      const rank  = (rankRaw===""||rankRaw==null) ? "" : rankRaw;
-      const delta = (dRaw===""||dRaw==null) ? "" : dRaw;
+  return flagReportAnomalies_(parseReportValues_(values, tabName), reportDate_(values), { maxReportAgeHours: ANOMALY_MAX_REPORT_AGE_HOURS });
+}
 
-      out.push({ model, storage, condition: cond, rank, delta });
-    }
+// Carriers tab → the active carrier list in pricing-core.js (CARRIERS), read once per execution
+let _carriersLoaded_ = false;
+function loadCarriers_(){
+  if (!_carriersLoaded_){
+    const sh = _sheetByName(CARRIERS_SHEET);
+    setCarriers_(sh ? parseCarriers_(sh.getDataRange().getValues(), CARRIERS_SHEET) : []);
+    _carriersLoaded_ = true;
   }
-  return out;
+  return CARRIERS;
+}
+// Conditions tab → the active taxonomy in pricing-core.js (CONDITIONS, CONDITION_TO_REUSELY, ...)
+let _conditionsLoaded_ = false;
+function loadConditions_(){
+  if (!_conditionsLoaded_){
+    const sh = _sheetByName(CONDITIONS_SHEET);
+    setConditionTaxonomy_(sh ? parseConditionTaxonomy_(sh.getDataRange().getValues(), CONDITIONS_SHEET) : []);
+    _conditionsLoaded_ = true;
+  }
+  return CONDITION_TAXONOMY;
+}
+// Enabled carriers that have a report tab, with the tab to read
+function _runnableCarriers_(){
+  return loadCarriers_()
+    .filter(c=>c.enabled)
+    .map(c=>Object.assign({}, c, { tab: pickReportTab_(c.tabAll, c.tabLegacy) }))
+    .filter(c=>c.tab);
 }
 
 function pickReportTab_(pref, fallback){ return _sheetByName(pref)?pref:(_sheetByName(fallback)?fallback:null); }
 
-/////////////////////// PRICE LOGIC ///////////////////////
+/////////////////////// PRICING RULES ///////////////////////
 
-function computeNewPrice_(current, rank, delta, condition) {
-  if (current==null || current==="" || isNaN(Number(current))) return { proposed:"", reason:"NO CURRENT PRICE" };
-  const cur = Number(current);
-  const r = (rank===""||rank==null)?null:Number(rank);
-  const d = (delta===""||delta==null)?null:Number(delta);
-  if (r==null || isNaN(r) || d==null || isNaN(d)) return { proposed:"", reason:"MISSING RANK/Δ" };
+function loadPricingRules_(){
+  loadCarriers_();
+  const sh = _sheetByName(PRICING_RULES_SHEET);
+  return sh ? parsePricingRules_(sh.getDataRange().getValues(), PRICING_RULES_SHEET) : [];
+}
 
-  if (condition==="New" && NEW_UNDERCUT_LEADER_BY>0 && r!==1){
-    const topPrice = cur + d;
-    const target = Math.max(0, topPrice - NEW_UNDERCUT_LEADER_BY);
-    return { proposed: target, reason: `NEW: TOP-$${NEW_UNDERCUT_LEADER_BY}` };
-  }
-  if (r!==1) return { proposed: cur + d + PRICE_BUMP_ABOVE_SECOND, reason:"CHASE #1" };
-  if (r===1 && (-d)>TRIM_LEAD_THRESHOLD) return { proposed: cur + d + PRICE_BUMP_ABOVE_SECOND, reason:"TRIM LEAD" };
-  return { proposed: cur, reason:"NO CHANGE" };
+/////////////////////// GUARDRAILS ///////////////////////
+
+function loadPriceLimits_(){
+  const sh = _sheetByName(PRICE_LIMITS_SHEET);
+  return sh ? parsePriceLimits_(sh.getDataRange().getValues(), PRICE_LIMITS_SHEET) : {};
 }
 
 /////////////////////// CURRENT PRICE SOURCE ///////////////////////
 
-function getCurrentPriceFromCatalog_(priceLookup, model, carrier, storage, condition){
-  const key = `${_cleanCatalogModelName_(model)}|${carrier}|${storage}`;
-  const rec = priceLookup[key];
-  if (!rec) return null;
-  const v = rec[condition];
-  return (v==null || isNaN(Number(v))) ? null : Number(v);
-}
+// Per-execution cache: product_id → normalized prices (or null when the fetch failed)
+const _currentPriceCache_ = {};
 
-function getCurrentPriceViaApi_(productId){
+function _priceRequest_(productId){
   const base   = PropertiesService.getDocumentProperties().getProperty("REUSELY_BASE_URL") || "";
   const path   = PropertiesService.getDocumentProperties().getProperty("GET_PRICE_BY_PRODUCTID")
                  || DEFAULT_ENDPOINTS.GET_PRICE_BY_PRODUCTID;
@@ -293,123 +373,338 @@ function getCurrentPriceViaApi_(productId){
     "x-secret-key": PropertiesService.getDocumentProperties().getProperty("REUSELY_SECRET_KEY") || "",
     "x-api-key":    PropertiesService.getDocumentProperties().getProperty("REUSELY_API_KEY")    || "" // optional
   };
+  return { url, method:"get", headers };
+}
 
+function _parsePricingResponse_(resp){
   try{
-    const resp = UrlFetchApp.fetch(url,{ method:"get", headers, muteHttpExceptions:true });
-    if (resp.getResponseCode()!==200) return null;
+    if (!resp || resp.getResponseCode()!==200) return null;
 
     const json = JSON.parse(resp.getContentText()||"{}");
     const list = (json.data && Array.isArray(json.data.pricing)) ? json.data.pricing : null;
     if (!list) return null;
 
-    // Normalize to { New, Flawless, Good, Fair, Broken }
+    // Keyed by condition (CONDITIONS); names outside the taxonomy are dropped
+    loadConditions_();
     const out = {};
     list.forEach(p=>{
-      const nRaw = String(p && p.name || "").trim();
+      const key = conditionKeyFor_(p && p.name);
       const v = Number(p && p.price);
-      if (isNaN(v)) return;
-      const n = (nRaw.toLowerCase()==="brand new") ? "New"
-              : (nRaw.toLowerCase()==="flawless")  ? "Flawless"
-              : nRaw;
-      out[n] = v;
+      if (key && !isNaN(v)) out[key] = v;
     });
     return out;
 
   }catch(e){ return null; }
 }
 
+function getCurrentPriceViaApi_(productId){
+  if (productId in _currentPriceCache_) return _currentPriceCache_[productId];
+  const req = _priceRequest_(productId);
+  if (!req) return null;
+  let prices = null;
+  try{ prices = _parsePricingResponse_(httpFetch_(req.url, req, _httpPolicy_()).resp); }catch(e){ prices = null; }
+  _currentPriceCache_[productId] = prices;
+  return prices;
+}
+
+// Warms _currentPriceCache_ for every product not fetched yet, PRICE_FETCH_CHUNK requests at a time.
+function prefetchCurrentPrices_(productIds){
+  const todo = [];
+  productIds.forEach(pid=>{ if (pid && !(pid in _currentPriceCache_) && todo.indexOf(pid)<0) todo.push(pid); });
+  const reqs = todo.map(_priceRequest_);
+  if (!todo.length || !reqs[0]) return;
+
+  const results = httpFetchAll_(reqs, _httpPolicy_(), PRICE_FETCH_CHUNK);
+  todo.forEach((pid, i)=>{ _currentPriceCache_[pid] = _parsePricingResponse_(results[i].resp); });
+}
+
+/////////////////////// REPORT HISTORY ///////////////////////
+
+function ensureReportHistorySheet_(){
+  const sh = _ensureSheet(REPORT_HISTORY_SHEET);
+  if (sh.getLastRow()===0) sh.appendRow(REPORT_HISTORY_HEADER);
+  return sh;
+}
+
+// Earlier runs' snapshots (pruned to REPORT_HISTORY_KEEP_DAYS first), indexed for applyTrendAndDamping_
+function loadReportHistory_(runId){
+  const sh = ensureReportHistorySheet_();
+  const values = sh.getDataRange().getValues();
+  const pruned = pruneReportHistory_(values, REPORT_HISTORY_KEEP_DAYS, new Date());
+  if (pruned.removed){
+    sh.clearContents();
+    sh.getRange(1, 1, pruned.values.length, pruned.values[0].length).setValues(pruned.values);
+  }
+  return indexReportHistory_(pruned.values, runId);
+}
+
+function appendReportHistory_(rows){
+  if (!rows.length) return;
+  const sh = ensureReportHistorySheet_();
+  sh.getRange(sh.getLastRow()+1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/////////////////////// SIMULATION ///////////////////////
+
+// Replays Report_History under Pricing_Rules and Pricing_Rules_Candidate (simulateRules_) into the
+// Simulation tab. Without a candidate tab, creates one as a copy of Pricing_Rules to edit first.
+function simulatePricingRules(){
+  const ui = SpreadsheetApp.getUi();
+  const candidate = _sheetByName(PRICING_RULES_CANDIDATE_SHEET);
+  if (!candidate){
+    const current = _sheetByName(PRICING_RULES_SHEET);
+    const values = current && current.getLastRow()
+      ? current.getDataRange().getValues()
+      : [["Rule","Carrier","Model","Storage","Condition","Strategy","StrategyParam","PriceBump","TrimLeadThreshold","NewUndercut"]];
+    _ensureSheet(PRICING_RULES_CANDIDATE_SHEET).getRange(1, 1, values.length, values[0].length).setValues(values);
+    ui.alert(`Created ${PRICING_RULES_CANDIDATE_SHEET} from ${PRICING_RULES_SHEET}.\nEdit it (e.g. a catch-all row with PriceBump or NewUndercut), then run Simulate again.`);
+    return;
+  }
+
+  const history = ensureReportHistorySheet_().getDataRange().getValues();
+  if (history.length < 2){ ui.alert(`${REPORT_HISTORY_SHEET} is empty – run a Dry Run first to archive report snapshots.`); return; }
+
+  loadConditions_();
+  let rows;
+  try {
+    rows = simulateRules_(history, loadPricingRules_(),
+                          parsePricingRules_(candidate.getDataRange().getValues(), PRICING_RULES_CANDIDATE_SHEET),
+                          loadModelAliases_());
+  } catch(e){ ui.alert(String(e && e.message ? e.message : e)); return; }
+  if (!rows.length){ ui.alert(`No priced rows in ${REPORT_HISTORY_SHEET}.`); return; }
+
+  const sh = _ensureSheet(SIMULATION_SHEET);
+  sh.clear();
+  const out = [SIMULATION_HEADER].concat(rows);
+  sh.getRange(1, 1, out.length, SIMULATION_HEADER.length).setValues(out);
+  sh.setFrozenRows(1);
+
+  const all = rows[rows.length-1];
+  const col = h=>all[SIMULATION_HEADER.indexOf(h)];
+  ui.alert(`Simulated ${col("Rows")} snapshot rows.\n\n` +
+    `Prices changed: ${col("Changed (current)")} current vs ${col("Changed (candidate)")} candidate\n` +
+    `Total $ moved: ${col("Total $ (current)")} vs ${col("Total $ (candidate)")}\n` +
+    `Rows at #1: ${col("Rank 1 (current)")} vs ${col("Rank 1 (candidate)")}\n\nDetails per carrier/condition: ${SIMULATION_SHEET} tab.`);
+}
+
+/////////////////////// RUN SUMMARY ///////////////////////
+
+// Rewrites Run_Summary for runId. The previous run's totals come from the tab itself: its table when it
+// still shows an earlier run, else its "Previous run" block (sequential chunks of one run keep comparing
+// against the run before it).
+function writeRunSummary_(runId){
+  const props = PropertiesService.getDocumentProperties();
+  const sh = _ensureSheet(RUN_SUMMARY_SHEET);
+  const values = sh.getLastRow() ? sh.getDataRange().getValues() : [];
+  const shownRunId = props.getProperty(RUN_SUMMARY_KEY);
+  const blank = values.findIndex((r,i)=>i>0 && !_norm(r[0]));
+  const mark = values.findIndex(r=>String(r[0]).indexOf("Previous run ")===0);
+  let prev = null, prevRunId = "";
+  if (shownRunId && shownRunId!==runId && values.length>2){
+    prev = runSummaryTotals_(values.slice(1, blank<0 ? values.length : blank));
+    prevRunId = shownRunId;
+  } else if (shownRunId===runId && mark>=0){
+    prev = runSummaryTotals_(values.slice(mark+1));
+    prevRunId = String(values[mark][0]).slice("Previous run ".length);
+  }
+
+  const summary = summarizeProposals_(ensureProposalsSheet_().getDataRange().getValues(), runId, prev);
+  if (!summary.rows.length) return;
+
+  const out = [[`Run ${runId} (${_nowIso()})` + (prev ? ` vs previous run ${prevRunId}` : " – no previous run to compare")], RUN_SUMMARY_HEADER]
+    .concat(summary.rows);
+  if (prev){
+    out.push([], [`Previous run ${prevRunId}`], RUN_SUMMARY_PREV_HEADER);
+    Object.keys(prev).forEach(k=>out.push(k.split("|").concat([prev[k].increases, prev[k].decreases, prev[k].total])));
+  }
+  const width = RUN_SUMMARY_HEADER.length;
+  sh.clear();
+  sh.getRange(1, 1, out.length, width).setValues(out.map(r=>r.concat(Array(width - r.length).fill(""))));
+  sh.setFrozenRows(2);
+  props.setProperty(RUN_SUMMARY_KEY, runId);
+}
+
 /////////////////////// PROPOSALS ///////////////////////
 
 function ensureProposalsSheet_(){
   const sh = _ensureSheet("Proposals");
-  const header = ["When","Carrier","Model","Storage","Condition","Rank","Δ","CurrentPrice","ProposedPrice","Status","product_id"];
+  const header = PROPOSALS_HEADER;
   if (sh.getLastRow()===0){ sh.appendRow(header); }
   else{
     const existing = sh.getRange(1,1,1,header.length).getValues()[0];
     if (existing.join("|")!==header.join("|")){ sh.clear(); sh.appendRow(header); }
   }
+  const approvalCol = header.indexOf("Approval") + 1;
+  const rule = SpreadsheetApp.newDataValidation().requireValueInList(APPROVAL_STATES, true).setAllowInvalid(true).build();
+  if (sh.getMaxRows()>1) sh.getRange(2, approvalCol, sh.getMaxRows()-1, 1).setDataValidation(rule);
   return sh;
 }
+
 function clearProposals_(){ _clearExceptHeader(ensureProposalsSheet_()); }
+function clearRunSheets_(){ clearProposals_(); _clearExceptHeader(ensureUnmatchedSheet_()); _clearExceptHeader(ensureQuarantineSheet_()); }
 
-function buildProposals_(doApply, carriersFilter){
-  const { idx, priceLookup } = buildCatalogIndex_();
+// Catalog / limits / rules / report history read once per execution (the sequential runner builds several chunks per execution)
+let _proposalInputsCache_ = null;
+function _proposalInputs_(runId){
+  if (!_proposalInputsCache_) _proposalInputsCache_ = { catalog: buildCatalogIndex_(), limits: loadPriceLimits_(), rules: loadPricingRules_(), history: loadReportHistory_(runId) };
+  return _proposalInputsCache_;
+}
+
+// range = { start, size } limits each report tab to data rows start.. (see reportChunkEnd_).
+// Returns { next, total }: the first data row not processed yet (null when done) and the tab's row count.
+function buildProposals_(doApply, carriersFilter, runId, range){
+  runId = runId || _newRunId_();
+  const { catalog, limits, rules, history: reportHistory } = _proposalInputs_(runId);
+  const priceLookup = catalog.priceLookup;
   const haveCatalogPrices = Object.keys(priceLookup).length > 0;
 
   const carriersToRun = carriersFilter && carriersFilter.length
-    ? REPORT_TABS.filter(s=>carriersFilter.indexOf(s.carrier)>=0)
-    : REPORT_TABS;
+    ? _runnableCarriers_().filter(s=>carriersFilter.indexOf(s.name)>=0)
+    : _runnableCarriers_();
 
-  const out = [];
+  let matched = [];
+  const applied = doApply ? _appliedThisRun_(runId) : {};
+  const unmatched = [];
+  const quarantine = [];
   const when = _nowIso();
+  let next = null, total = 0;
 
   for (const spec of carriersToRun){
-    const tab = pickReportTab_(spec.tabAll, spec.tabLegacy);
-    if (!tab) continue;
-
-    const hasAllGb = !!_sheetByName(spec.tabAll);
-    const carrier = spec.carrier;
-    const carrierNorm = _normalizeCarrier(carrier);
-    const records = readReportRows_(tab);
-
-    records.forEach(rec=>{
-      const model   = _norm(rec.model);
-      const storage = hasAllGb ? _gbNormalize(_norm(rec.storage)) : "";
-      const cond    = rec.condition;
-
-      const modelKey = _cleanCatalogModelName_(model);
-      const keyStrict = `${modelKey}|${carrierNorm}|${storage}`;
-      const keyLoose  = `${modelKey}|${carrierNorm}|`;
-
-      const cat = idx[keyStrict] || idx[keyLoose];
-      let productId = cat ? cat.product_id : "";
-      let currentPrice = null;
-
-      if (haveCatalogPrices) {
-        currentPrice = getCurrentPriceFromCatalog_(priceLookup, model, carrierNorm, storage, cond);
-      } else if (productId) {
-        const apiPrices = getCurrentPriceViaApi_(productId);
-        if (apiPrices){
-          const map = { "New":"New","Flawless":"Mint","Good":"Good","Fair":"Fair","Broken":"Broken" };
-          for (const k in map) if (map[k]===cond && apiPrices[k]!=null) currentPrice = Number(apiPrices[k]);
-        }
-      }
+    let records = readReportRows_(spec.tab);
+    records.forEach(r=>{ if (r.row+1>total) total = r.row+1; });
+    if (range){
+      const end = reportChunkEnd_(records, range.start, range.size);
+      if (end<total) next = end;
+      records = records.filter(r=>r.row>=range.start && r.row<end);
+    }
 
-      const statusParts = [];
-      if (!productId) statusParts.push("NO CATALOG MATCH");
+    const res = matchReportRecords_(records, spec.name, spec.tab===spec.tabAll, catalog, UNMATCHED_CANDIDATES);
+    matched = matched.concat(res.matched);
+    res.unmatched.forEach(u=>{
+      const row = [when, u.carrier, u.model, u.storage];
+      for (let i=0; i<UNMATCHED_CANDIDATES; i++) row.push(u.candidates[i] ? u.candidates[i].model : "", u.candidates[i] ? Math.round(u.candidates[i].score*100)/100 : "");
+      row.push("");
+      unmatched.push(row);
+    });
+  }
 
-      const { proposed, reason } = computeNewPrice_(currentPrice, rec.rank, rec.delta, cond);
-      if (proposed==="" || isNaN(Number(proposed))) statusParts.push(reason || "NO PROPOSED PRICE");
-      else { statusParts.push(reason); if (!doApply) statusParts.push("DRY-RUN"); }
+  // One fetch per product for the whole run, not one per condition/row
+  if (!haveCatalogPrices) prefetchCurrentPrices_(matched.map(m=>m.productId));
 
-      let appliedPrice = proposed;
-      if (doApply && productId && proposed!=="" && !isNaN(Number(proposed))) {
-        const result = putPrice_(productId, cond, Number(proposed));
-        statusParts.push(result.ok ? "APPLIED" : `APPLY FAILED${result.note ? " ("+result.note+")" : ""}`);
-      } else if (doApply) {
-        statusParts.push("SKIPPED");
-      }
+  const proposals = priceMatchedRows_(matched, rules, m=>{
+    if (haveCatalogPrices) return getCurrentPriceFromCatalog_(priceLookup, m.modelKey, m.carrierNorm, m.storage, m.cond);
+    if (!m.productId) return null;
+    const apiPrices = getCurrentPriceViaApi_(m.productId) || {};
+    return apiPrices[m.cond]!=null ? apiPrices[m.cond] : null;
+  });
 
-      out.push([
-        when, carrier, model, storage, cond, rec.rank, rec.delta,
-        currentPrice==null?"":Number(currentPrice),
-        appliedPrice===""?"":Number(appliedPrice),
-        statusParts.filter(Boolean).join(" | "),
-        productId
-      ]);
-    });
-  }
+  reviewProposals_(proposals, {
+    consistency: { fix:CONSISTENCY_FIX, storageStep:STORAGE_STEP_MIN, unlockedPremium:UNLOCKED_PREMIUM_MIN },
+    ladderGap: ENFORCE_CONDITION_LADDER ? CONDITION_LADDER_MIN_GAP : 0,
+    anomalies: { maxDeltaRatio: ANOMALY_MAX_DELTA_RATIO },
+    history: reportHistory,
+    damping: { mode: DAMPING_MODE, snapshots: DAMPING_SNAPSHOTS, hours: DAMPING_HOURS },
+    catalogPrices: priceLookup, // carriers outside this pass are compared at their catalog prices
+  });
+
+  // inverted ladders after the guardrails come back Pending, so apply mode never pushes them
+  const guarded = recheckConditionLadder_(proposals, proposals.map(p=>guardProposal_(p, _limitFor_(limits, p.productId, p.condition),
+                             { maxChangeUsd:MAX_CHANGE_PER_RUN_USD, maxChangePct:MAX_CHANGE_PER_RUN_PCT, mode:GUARDRAIL_MODE },
+                             { maxChangeUsd:AUTO_APPROVE_MAX_CHANGE_USD, reasons:AUTO_APPROVE_REASONS })));
+
+  const out = proposals.map((p,i)=>{
+    const g = guarded[i];
+    if (p.proposed!=="" && !doApply) g.status.push("DRY-RUN");
+    if (p.anomalies.length) quarantine.push(quarantineRow_(p, g, when, runId));
+
+    if (doApply && g.approval==="Pending") {
+      g.status.push("AWAITING APPROVAL");
+    } else if (doApply && g.approval==="Approved" && applied[`${p.productId}|${p.condition}`]) {
+      g.status.push("APPLIED (earlier attempt of this run)"); // a killed sequential chunk being re-run
+    } else if (doApply && g.approval==="Approved") {
+      const result = putPrice_(p.productId, p.condition, Number(g.proposed), limits);
+      g.status.push(_applyStatus_(result));
+      // logged right away: Price_History is the record of what went live, even if this execution gets killed
+      appendPriceHistory_([[runId, _nowIso(), p.productId, p.condition, p.current==null?"":p.current, Math.round(Number(g.proposed)),
+                            `${p.rule.name} [${p.rule.strategy}] ${p.reason}`, _httpResult_(result)]]);
+    } else if (doApply) {
+      g.status.push("SKIPPED");
+    }
+
+    return proposalRow_(p, g, when, runId);
+  });
 
   if (out.length){
     const sh = ensureProposalsSheet_();
     sh.getRange(sh.getLastRow()+1, 1, out.length, out[0].length).setValues(out);
   }
+  writeUnmatched_(unmatched);
+  writeQuarantine_(quarantine);
+  appendReportHistory_(snapshotRows_(proposals, when, runId));
+  writeRunSummary_(runId);
+  return { next, total };
+}
+
+// Pushes every Approved row in Proposals that hasn't been applied yet and appends the result to Status.
+function applyApprovedProposals(){
+  const ui = SpreadsheetApp.getUi();
+  const sh = ensureProposalsSheet_();
+  const values = sh.getDataRange().getValues();
+  if (values.length < 2){ ui.alert("'Proposals' is empty."); return; }
+  const col = _titleRowToIndex(values[0]);
+
+  // Each product's prices once this apply is done (Approved → ProposedPrice, else CurrentPrice; later
+  // rows win). Products whose ladder would end up inverted are not pushed, even if a reviewer approved them.
+  loadConditions_();
+  const after = {};
+  for (let i=1; i<values.length; i++){
+    const r = values[i];
+    const pid = _norm(r[col["product_id"]]);
+    const price = _norm(r[col["Approval"]])==="Approved" && _numOrNull_(r[col["ProposedPrice"]])!=null
+      ? _numOrNull_(r[col["ProposedPrice"]]) : _numOrNull_(r[col["CurrentPrice"]]);
+    if (pid && price!=null) (after[pid] = after[pid] || {})[_norm(r[col["Condition"]])] = price;
+  }
+
+  const limits = loadPriceLimits_();
+  const history = [];
+  let ok = 0, failed = 0, blocked = 0;
+  for (let i=1; i<values.length; i++){
+    const r = values[i];
+    const status = String(r[col["Status"]]||"");
+    const pid = _norm(r[col["product_id"]]);
+    const price = _numOrNull_(r[col["ProposedPrice"]]);
+    if (_norm(r[col["Approval"]])!=="Approved" || !pid || price==null || status.indexOf("APPLIED")>=0) continue;
+
+    const inverted = ladderViolations_(after[pid], CONDITIONS);
+    if (inverted.length){
+      blocked++;
+      if (status.indexOf("LADDER BLOCKED")<0) sh.getRange(i+1, col["Status"]+1).setValue(`${status} | LADDER BLOCKED (${inverted.join("; ")})`);
+      continue;
+    }
+
+    const cond = _norm(r[col["Condition"]]);
+    const result = putPrice_(pid, cond, price, limits);
+    result.ok ? ok++ : failed++;
+    const runId = _norm(r[col["RunId"]]) || _newRunId_();
+    sh.getRange(i+1, col["Status"]+1).setValue(`${status} | ${_applyStatus_(result)}`);
+    history.push([runId, _nowIso(), pid, cond, _numOrNull_(r[col["CurrentPrice"]])==null?"":Number(r[col["CurrentPrice"]]),
+                  Math.round(price), `${r[col["Rule"]]} ${status.split(" | ")[0]} (approved)`, _httpResult_(result)]);
+  }
+  appendPriceHistory_(history);
+  ui.alert(ok||failed||blocked
+    ? `Applied approved proposals.\nSuccess: ${ok}, Failed: ${failed}, Blocked (inverted condition ladder): ${blocked}${_httpSummary_()}`
+    : "No approved, unapplied proposals found.");
 }
 
 /////////////////////// PUT PRICE (v2 /admin/pricing) ///////////////////////
 
-function putPrice_(productId, condition, price) {
+function putPrice_(productId, condition, price, limits) {
   try{
+    const lim = _limitFor_(limits || loadPriceLimits_(), productId, condition);
+    if (!_withinLimit_(Math.round(Number(price)), lim)) {
+      return { ok:false, note:`outside limits (floor ${lim.floor==null?"-":lim.floor}, ceiling ${lim.ceiling==null?"-":lim.ceiling})` };
+    }
+
     const base = PropertiesService.getDocumentProperties().getProperty("REUSELY_BASE_URL") || "";
     const path = PropertiesService.getDocumentProperties().getProperty("PUT_PRICE_BY_PRODUCTID")
                 || DEFAULT_ENDPOINTS.PUT_PRICE_BY_PRODUCTID;
@@ -425,9 +720,10 @@ function putPrice_(productId, condition, price) {
       "x-secret-key": PropertiesService.getDocumentProperties().getProperty("REUSELY_SECRET_KEY") || "",
     };
 
-    // Swappa → Reusely condition labels expected by v2 pricing
-    const condMap = { "New":"New", "Mint":"Flawless", "Good":"Good", "Fair":"Fair", "Broken":"Broken" };
-    const reuselyCond = condMap[condition] || condition;
+    // Swappa → Reusely condition name expected by v2 pricing (Conditions tab)
+    loadConditions_();
+    const reuselyCond = CONDITION_TO_REUSELY[condition];
+    if (!reuselyCond) return { ok:false, note:`unknown condition "${condition}" (not in ${CONDITIONS_SHEET})` };
 
     const payload = {
       product_id: Number(productId),
@@ -436,28 +732,127 @@ function putPrice_(productId, condition, price) {
       ]
     };
 
-    const resp = UrlFetchApp.fetch(url,{
+    const { resp, retries } = httpFetch_(url,{
       method:"post",
       headers,
       contentType:"application/json",
       payload: JSON.stringify(payload),
-      muteHttpExceptions:true
-    });
+    }, _httpPolicy_());
 
     const code = resp.getResponseCode();
-    if (code>=200 && code<300) return { ok:true, note:"" };
+    if (code>=200 && code<300) return { ok:true, note:"", code, retries };
 
     const body = String(resp.getContentText()||"").slice(0,300).replace(/\s+/g," ").trim();
-    return { ok:false, note:`${code} ${body} @ ${url}` };
+    return { ok:false, note:`${code} ${body} @ ${url}`, code, retries };
 
   }catch(e){
     return { ok:false, note:String(e && e.message ? e.message : e) };
   }
 }
 
+/////////////////////// PRICE HISTORY & REVERT ///////////////////////
+
+function ensurePriceHistorySheet_(){
+  const sh = _ensureSheet(PRICE_HISTORY_SHEET);
+  if (sh.getLastRow()===0) sh.appendRow(["RunId","When","product_id","Condition","OldPrice","NewPrice","Rule","HttpResult"]);
+  return sh;
+}
+
+function appendPriceHistory_(rows){
+  if (!rows.length) return;
+  const sh = ensurePriceHistorySheet_();
+  sh.getRange(sh.getLastRow()+1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+// { "<product_id>|<condition>": true } for the prices Price_History logs as pushed OK in runId
+function _appliedThisRun_(runId){
+  const out = {};
+  const values = ensurePriceHistorySheet_().getDataRange().getValues();
+  const col = _titleRowToIndex(values[0]);
+  values.slice(1).forEach(r=>{
+    if (_norm(r[col["RunId"]])===runId && String(r[col["HttpResult"]]).indexOf("OK")===0) out[`${_norm(r[col["product_id"]])}|${_norm(r[col["Condition"]])}`] = true;
+  });
+  return out;
+}
+
+function _httpResult_(result){
+  const tries = result.retries ? ` (${result.retries} retries)` : "";
+  return (result.ok ? `OK ${result.code||""}`.trim() : `FAILED ${result.note||""}`.trim()) + tries;
+}
+function _applyStatus_(result){
+  const tries = result.retries ? ` (${result.retries} retries)` : "";
+  return result.ok ? `APPLIED${tries}` : `APPLY FAILED${result.note ? " ("+result.note+")" : ""}${tries}`;
+}
+
+function _readPriceHistory_(){
+  const sh = _sheetByName(PRICE_HISTORY_SHEET);
+  if (!sh || sh.getLastRow()<2) return [];
+  const values = sh.getDataRange().getValues();
+  const col = _titleRowToIndex(values[0]);
+  return values.slice(1).map(r=>({
+    runId:     _norm(r[col["RunId"]]),
+    productId: _norm(r[col["product_id"]]),
+    condition: _norm(r[col["Condition"]]),
+    oldPrice:  _numOrNull_(r[col["OldPrice"]]),
+    newPrice:  _numOrNull_(r[col["NewPrice"]]),
+    ok:        _norm(r[col["HttpResult"]]).indexOf("OK")===0,
+  }));
+}
+
+function revertLastApply(){
+  const last = _readPriceHistory_().filter(h=>h.ok && h.runId.indexOf("REVERT-")!==0).pop();
+  if (!last){ SpreadsheetApp.getUi().alert("No applied runs found in Price_History."); return; }
+  _confirmAndRevert_(last.runId);
+}
+
+function revertRunPrompt(){
+  const ui = SpreadsheetApp.getUi();
+  const resp = ui.prompt("Revert run", "RunId to revert (see Price_History):", ui.ButtonSet.OK_CANCEL);
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+  const runId = (resp.getResponseText() || "").trim();
+  if (runId) _confirmAndRevert_(runId);
+}
+
+function _confirmAndRevert_(runId){
+  const ui = SpreadsheetApp.getUi();
+  const n = _readPriceHistory_().filter(h=>h.ok && h.runId===runId).length;
+  if (!n){ ui.alert(`Nothing applied in run ${runId}.`); return; }
+  if (ui.alert("Revert run", `Push the old prices back for ${n} change(s) from run ${runId}?`, ui.ButtonSet.YES_NO) !== ui.Button.YES) return;
+  const res = revertRun_(runId);
+  ui.alert(`Revert of ${runId} complete.\nReverted: ${res.ok}, Failed: ${res.failed}, Skipped (no old price): ${res.skipped}${_httpSummary_()}`);
+}
+
+// Pushes the OldPrice of every successful change in `runId` back through putPrice_.
+// If a product/condition changed more than once in the run, the earliest OldPrice wins.
+function revertRun_(runId){
+  const firstOld = {}, lastNew = {};
+  _readPriceHistory_().forEach(h=>{
+    if (!h.ok || h.runId!==runId) return;
+    const key = `${h.productId}|${h.condition}`;
+    if (!(key in firstOld)) firstOld[key] = h;
+    lastNew[key] = h.newPrice;
+  });
+
+  const limits = loadPriceLimits_();
+  const revertId = `REVERT-${runId}`;
+  const history = [];
+  const res = { ok:0, failed:0, skipped:0 };
+  Object.keys(firstOld).forEach(key=>{
+    const h = firstOld[key];
+    if (h.oldPrice==null){ res.skipped++; return; }
+    const result = putPrice_(h.productId, h.condition, h.oldPrice, limits);
+    result.ok ? res.ok++ : res.failed++;
+    history.push([revertId, _nowIso(), h.productId, h.condition, lastNew[key]==null?"":lastNew[key], Math.round(h.oldPrice),
+                  `REVERT ${runId}`, _httpResult_(result)]);
+  });
+  appendPriceHistory_(history);
+  return res;
+}
+
 /////////////////////// REFRESH CATALOG (OPTIONAL) ///////////////////////
 
 function refreshCatalogFromApi(){
+  const ui = SpreadsheetApp.getUi();
   const base = PropertiesService.getDocumentProperties().getProperty("REUSELY_BASE_URL") || "";
   const path = PropertiesService.getDocumentProperties().getProperty("LIST_PRODUCTS_ENDPOINT")
               || DEFAULT_ENDPOINTS.LIST_PRODUCTS_ENDPOINT;
@@ -468,40 +863,129 @@ function refreshCatalogFromApi(){
     "x-tenant-id": PropertiesService.getDocumentProperties().getProperty("REUSELY_TENANT_ID") || "",
     "x-secret-key":PropertiesService.getDocumentProperties().getProperty("REUSELY_SECRET_KEY")|| "",
   };
-  const resp = UrlFetchApp.fetch(url,{method:"get", headers, muteHttpExceptions:true});
-  if (resp.getResponseCode()!==200){ SpreadsheetApp.getUi().alert(`Catalog fetch failed: ${resp.getResponseCode()}`); return; }
-  const data = JSON.parse(resp.getContentText()||"{}");
-  if (!data || !data.items || !data.items.length){ SpreadsheetApp.getUi().alert("No products returned."); return; }
-
-  const rows = [["product_id","product_name","network_name","size_name"]];
-  data.items.forEach(it=>{
-    rows.push([
-      it.product_id || it.id || "",
-      _cleanCatalogModelName_(it.product_name || it.name || ""),
-      it.network_name || it.carrier || "",
-      it.size_name || it.storage || "",
-    ]);
-  });
 
+  let items;
+  try{ items = _fetchCatalogItems_(base.replace(/\/+$/,""), url, headers); }
+  catch(e){ ui.alert(String(e && e.message ? e.message : e)); return; }
+  if (!items.length){ ui.alert("No products returned."); return; }
+
+  // Start from the existing sheet so price and user-maintained columns survive
   const sh = _ensureSheet(CATALOG_SHEET);
+  const existing = sh.getLastRow() ? sh.getDataRange().getValues() : [];
+  const header = existing.length ? existing[0].map(h=>String(h).trim()) : [];
+  const baseCols = ["product_id","product_name","network_name","size_name"];
+  loadConditions_();
+  const priceCols = CONDITIONS.map(c=>PRICE_COLS_IN_CATALOG[c]).filter(Boolean);
+  baseCols.concat(priceCols).forEach(h=>{ if (header.indexOf(h)<0) header.push(h); });
+  const col = _titleRowToIndex(header);
+
+  const oldCol = existing.length ? _titleRowToIndex(existing[0]) : {};
+  const oldByPid = {};
+  existing.slice(1).forEach(r=>{
+    const pid = oldCol["product_id"]!=null ? _norm(r[oldCol["product_id"]]) : "";
+    if (pid) oldByPid[pid] = r;
+  });
+
+  if (CATALOG_REFRESH_PRICES!=="none"){
+    prefetchCurrentPrices_(items.map(it=>_norm(it.product_id || it.id)).filter(pid=>CATALOG_REFRESH_PRICES==="all" || !oldByPid[pid]));
+  }
+
+  const added = [], renamed = [], seen = {};
+  const rows = [];
+  items.forEach(it=>{
+    const pid = _norm(it.product_id || it.id);
+    if (!pid || seen[pid]) return;
+    seen[pid] = true;
+
+    const old = oldByPid[pid];
+    const row = header.map(h=> old && oldCol[h]!=null ? old[oldCol[h]] : "");
+    const name = _cleanCatalogModelName_(it.product_name || it.name || "");
+    if (!old) added.push(`${pid} ${name}`);
+    else if (_norm(old[oldCol["product_name"]])!==name) renamed.push(`${pid}: ${_norm(old[oldCol["product_name"]])} → ${name}`);
+
+    row[col["product_id"]]   = pid;
+    row[col["product_name"]] = name;
+    row[col["network_name"]] = it.network_name || it.carrier || "";
+    row[col["size_name"]]    = it.size_name || it.storage || "";
+
+    if (CATALOG_REFRESH_PRICES==="all" || (CATALOG_REFRESH_PRICES==="new" && !old)){
+      const prices = getCurrentPriceViaApi_(pid) || {};
+      CONDITIONS.forEach(c=>{ if (prices[c]!=null && PRICE_COLS_IN_CATALOG[c]) row[col[PRICE_COLS_IN_CATALOG[c]]] = prices[c]; });
+    }
+    rows.push(row);
+  });
+  const removed = Object.keys(oldByPid).filter(pid=>!seen[pid]).map(pid=>`${pid} ${_norm(oldByPid[pid][oldCol["product_name"]])}`);
+
   sh.clear();
-  sh.getRange(1,1,rows.length, rows[0].length).setValues(rows);
+  sh.getRange(1,1,rows.length+1, header.length).setValues([header].concat(rows));
+
+  const list = a => a.length ? "\n  " + a.slice(0,10).join("\n  ") + (a.length>10 ? `\n  … +${a.length-10} more` : "") : "";
+  ui.alert(`Catalog refreshed: ${rows.length} products.\n\nAdded: ${added.length}${list(added)}\n\nRemoved: ${removed.length}${list(removed)}\n\nRenamed: ${renamed.length}${list(renamed)}` + _httpSummary_());
 }
 
-/////////////////////// SIMPLE (single-pass) ENTRIES ///////////////////////
+// Follows pagination: next_page_url / links.next / next, else last_page, else ?page=N until a short
+// or empty page. Stops early if a page brings no new product ids (API ignoring the page param).
+function _fetchCatalogItems_(base, firstUrl, headers){
+  const items = [];
+  const ids = {};
+  const limit = Number((firstUrl.match(/[?&]limit=(\d+)/)||[])[1]) || 0;
+  const withPage = n => firstUrl.replace(/([?&])page=\d+&?/,"$1").replace(/[?&]$/,"") + (firstUrl.indexOf("?")>=0 ? "&" : "?") + `page=${n}`;
+
+  let url = firstUrl;
+  for (let page=1; url && page<=CATALOG_MAX_PAGES; page++){
+    const { resp } = httpFetch_(url,{method:"get", headers}, _httpPolicy_());
+    if (resp.getResponseCode()!==200) throw new Error(`Catalog fetch failed: ${resp.getResponseCode()} (page ${page})`);
+    const data = JSON.parse(resp.getContentText()||"{}") || {};
+    const batch = Array.isArray(data.items) ? data.items : [];
+
+    let fresh = 0;
+    batch.forEach(it=>{ const pid = _norm(it.product_id || it.id); if (pid && !ids[pid]){ ids[pid] = true; fresh++; } items.push(it); });
+    if (!fresh) break;
+
+    const next = data.next_page_url || (data.links && data.links.next) || data.next || "";
+    const last = data.last_page || (data.meta && data.meta.last_page) || null;
+    if (next) url = /^https?:/i.test(next) ? next : base + next;
+    else if (last!=null) url = page < Number(last) ? withPage(page+1) : null;
+    else url = (limit && batch.length>=limit) ? withPage(page+1) : null;
+  }
+  return items;
+}
 
-function dryRunAllTabs(){ clearProposals_(); buildProposals_(false); SpreadsheetApp.getUi().alert("Dry run complete."); }
-function applyAllTabs(){ clearProposals_(); buildProposals_(true);  SpreadsheetApp.getUi().alert("Apply complete."); }
+/////////////////////// SIMPLE (single-pass) ENTRIES ///////////////////////
 
-function dryRunUnlocked(){ _runCarrierOnce_(false,"Unlocked"); }  function applyUnlocked(){ _runCarrierOnce_(true,"Unlocked"); }
-function dryRunATT(){ _runCarrierOnce_(false,"AT&T"); }          function applyATT(){ _runCarrierOnce_(true,"AT&T"); }
-function dryRunTMobile(){ _runCarrierOnce_(false,"T-Mobile"); }   function applyTMobile(){ _runCarrierOnce_(true,"T-Mobile"); }
-function dryRunVerizon(){ _runCarrierOnce_(false,"Verizon"); }    function applyVerizon(){ _runCarrierOnce_(true,"Verizon"); }
+function dryRunAllTabs(){ clearRunSheets_(); buildProposals_(false); SpreadsheetApp.getUi().alert(`Dry run complete. Totals per carrier/condition: ${RUN_SUMMARY_SHEET} tab.` + _httpSummary_()); }
+function applyAllTabs(){ clearRunSheets_(); buildProposals_(true);  SpreadsheetApp.getUi().alert(`Apply complete. Totals per carrier/condition: ${RUN_SUMMARY_SHEET} tab.` + _httpSummary_()); }
+
+// Dialog listing the enabled carriers that have a report tab; buttons call runCarrierFromPicker
+function showCarrierPicker(){
+  const carriers = _runnableCarriers_();
+  if (!carriers.length){ SpreadsheetApp.getUi().alert(`No report tabs found for the enabled carriers (${CARRIERS_SHEET} tab).`); return; }
+  const esc = s=>String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+  const options = carriers.map(c=>`<option value="${esc(c.name)}">${esc(c.name)} (${esc(c.tab)})</option>`).join("");
+  const html = `<div style="font:13px Arial,sans-serif">
+  <p><select id="carrier" style="width:100%">${options}</select></p>
+  <p><button onclick="run(false)">Dry Run</button> <button onclick="run(true)">Apply</button></p>
+  <p id="msg" style="white-space:pre-line"></p>
+</div>
+<script>
+  function run(apply){
+    document.querySelectorAll("button").forEach(function(b){ b.disabled = true; });
+    document.getElementById("msg").textContent = "Running…";
+    google.script.run
+      .withSuccessHandler(function(m){ document.getElementById("msg").textContent = m; })
+      .withFailureHandler(function(e){ document.getElementById("msg").textContent = "Failed: " + e.message; })
+      .runCarrierFromPicker(document.getElementById("carrier").value, apply);
+  }
+</script>`;
+  const out = HtmlService.createHtmlOutput(html).setWidth(380).setHeight(200);
+  SpreadsheetApp.getUi().showModalDialog(out, "Run carrier");
+}
 
-function _runCarrierOnce_(apply, carrier){
-  clearProposals_();
-  buildProposals_(apply, [carrier]);
-  SpreadsheetApp.getUi().alert(`${apply ? "Apply" : "Dry run"} complete for ${carrier}.`);
+function runCarrierFromPicker(carrier, apply){
+  if (!_runnableCarriers_().some(c=>c.name===carrier)) throw new Error(`Unknown or disabled carrier: ${carrier}`);
+  clearRunSheets_();
+  buildProposals_(!!apply, [carrier]);
+  return `${apply ? "Apply" : "Dry run"} complete for ${carrier}.` + _httpSummary_();
 }
 
 /////////////////////// SEQUENTIAL RUNNER ///////////////////////
@@ -510,26 +994,141 @@ function startSequentialDryRun(){ _startSequential_(false); }
 function startSequentialApply(){ _startSequential_(true); }
 
 function _startSequential_(apply){
-  clearProposals_();
-  const queue = [];
-  for (const spec of REPORT_TABS){ const tab = pickReportTab_(spec.tabAll, spec.tabLegacy); if (tab) queue.push(spec.carrier); }
+  const ui = SpreadsheetApp.getUi();
   const props = PropertiesService.getDocumentProperties();
-  props.setProperty(QUEUE_KEY, JSON.stringify(queue));
-  props.setProperty(APPLY_FLAG_KEY, String(!!apply));
-  ScriptApp.newTrigger("processNextCarrier_").timeBased().after(1000).create();
-  SpreadsheetApp.getUi().alert(`Started ${apply ? "APPLY" : "DRY RUN"} sequence for carriers: ${queue.join(", ")}`);
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(SEQ_LOCK_WAIT_MS)){ ui.alert("A sequential run is busy right now. Try again in a minute."); return; }
+  try {
+    const running = props.getProperty(RUN_ID_KEY);
+    if (running){ ui.alert(`Sequence ${running} is still running (see ${RUN_STATUS_SHEET}). Use "Cancel running sequence" to stop it first.`); return; }
+
+    clearRunSheets_();
+    const queue = _runnableCarriers_().map(c=>c.name);
+    if (!queue.length){ ui.alert(`No report tabs found for the enabled carriers (${CARRIERS_SHEET} tab).`); return; }
+
+    const runId = _newRunId_();
+    props.setProperties({ [QUEUE_KEY]: JSON.stringify(queue), [APPLY_FLAG_KEY]: String(!!apply), [RUN_ID_KEY]: runId, [OFFSET_KEY]: "0" });
+    queue.forEach(c=>_setRunStatus_(runId, c, { Mode: apply ? "APPLY" : "DRY RUN", Status: "QUEUED", RowsDone: 0 }));
+    _scheduleSequential_(1000);
+    ui.alert(`Started ${apply ? "APPLY" : "DRY RUN"} sequence ${runId} for carriers: ${queue.join(", ")}\nProgress: ${RUN_STATUS_SHEET} tab.`);
+  } finally {
+    lock.releaseLock();
+  }
 }
 
+// Trigger handler: works through the queue in row chunks until it runs out of time, then reschedules itself.
+// The queue, offset and RunId live in document properties, so a killed execution resumes from the last chunk.
 function processNextCarrier_(){
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(SEQ_LOCK_WAIT_MS)) return; // another execution is mid-chunk and reschedules itself
+  try { _runSequentialSlice_(); } finally { lock.releaseLock(); }
+}
+
+function _runSequentialSlice_(){
+  const startedMs = Date.now();
   const props = PropertiesService.getDocumentProperties();
+  const runId = props.getProperty(RUN_ID_KEY);
   let queue=[]; try{ queue = JSON.parse(props.getProperty(QUEUE_KEY)||"[]"); }catch(e){ queue=[]; }
+  if (!runId || !queue.length){ _clearSequentialState_(); return; }
   const apply = (props.getProperty(APPLY_FLAG_KEY)||"false")==="true";
-  if (!queue.length){ _cleanupSelfTriggers_("processNextCarrier_"); return; }
-  const carrier = queue.shift();
-  props.setProperty(QUEUE_KEY, JSON.stringify(queue));
-  buildProposals_(apply, [carrier]); // fixed typo
-  if (queue.length) ScriptApp.newTrigger("processNextCarrier_").timeBased().after(1500).create();
-  else { _cleanupSelfTriggers_("processNextCarrier_"); SpreadsheetApp.getUi().alert(`Sequential ${apply ? "APPLY" : "DRY RUN"} finished.`); }
+  let offset = Number(props.getProperty(OFFSET_KEY)) || 0;
+  let lastChunkMs = 0;
+
+  _scheduleSequential_(SEQ_TIME_BUDGET_MS + 60 * 1000); // safety net in case this execution gets killed
+  try {
+    while (queue.length){
+      if (Date.now() - startedMs + lastChunkMs > SEQ_TIME_BUDGET_MS){ _scheduleSequential_(1000); return; }
+      const carrier = queue[0];
+      if (offset===0) _setRunStatus_(runId, carrier, { Status: "RUNNING", StartedAt: _nowIso() });
+
+      const chunkStart = Date.now();
+      _beginChunk_(runId, carrier, offset);
+      const res = buildProposals_(apply, [carrier], runId, { start: offset, size: SEQ_CHUNK_ROWS });
+      lastChunkMs = Date.now() - chunkStart;
+      if (props.getProperty(RUN_ID_KEY)!==runId) return; // cancelled while the chunk was running
+
+      if (res.next==null){
+        queue.shift();
+        offset = 0;
+        _setRunStatus_(runId, carrier, { Status: "DONE", RowsDone: res.total, RowsTotal: res.total });
+      } else {
+        offset = res.next;
+        _setRunStatus_(runId, carrier, { RowsDone: offset, RowsTotal: res.total });
+      }
+      props.setProperties({ [QUEUE_KEY]: JSON.stringify(queue), [OFFSET_KEY]: String(offset) });
+      props.deleteProperty(CHUNK_KEY);
+    }
+  } catch(e){
+    if (props.getProperty(RUN_ID_KEY)===runId){
+      _setRunStatus_(runId, queue[0], { Status: "ERROR", Note: String(e && e.message || e) });
+      _clearSequentialState_();
+    }
+    throw e;
+  }
+  _clearSequentialState_();
+  SpreadsheetApp.getActive().toast(`Sequential ${apply ? "APPLY" : "DRY RUN"} ${runId} finished.` + _httpSummary_(), "Reusely", 10);
+}
+
+function cancelSequentialRun(){
+  const ui = SpreadsheetApp.getUi();
+  const props = PropertiesService.getDocumentProperties();
+  const runId = props.getProperty(RUN_ID_KEY);
+  let queue=[]; try{ queue = JSON.parse(props.getProperty(QUEUE_KEY)||"[]"); }catch(e){ queue=[]; }
+  _clearSequentialState_();
+  if (!runId){ ui.alert("No sequence is running."); return; }
+  queue.forEach(c=>_setRunStatus_(runId, c, { Status: "CANCELLED" }));
+  ui.alert(`Cancelled sequence ${runId}` + (queue.length ? ` (not finished: ${queue.join(", ")}).` : "."));
+}
+
+function _scheduleSequential_(afterMs){
+  _cleanupSelfTriggers_("processNextCarrier_");
+  ScriptApp.newTrigger("processNextCarrier_").timeBased().after(afterMs).create();
+}
+function _clearSequentialState_(){
+  _cleanupSelfTriggers_("processNextCarrier_");
+  const props = PropertiesService.getDocumentProperties();
+  [QUEUE_KEY, APPLY_FLAG_KEY, RUN_ID_KEY, OFFSET_KEY, CHUNK_KEY].forEach(k=>props.deleteProperty(k));
+}
+
+// Sheets a chunk appends to. The offset is saved only after the chunk's rows are written, so an execution
+// killed mid-chunk re-runs it: first drop whatever that attempt appended, then record the row counts again.
+// Price_History is left alone – its rows are prices already live; the re-run skips them (_appliedThisRun_).
+const CHUNK_SHEETS = ["Proposals", REPORT_HISTORY_SHEET, UNMATCHED_SHEET, QUARANTINE_SHEET];
+function _beginChunk_(runId, carrier, offset){
+  const props = PropertiesService.getDocumentProperties();
+  let chunk = null; try{ chunk = JSON.parse(props.getProperty(CHUNK_KEY)||"null"); }catch(e){ chunk = null; }
+  if (chunk && chunk.runId===runId && chunk.carrier===carrier && chunk.offset===offset){
+    CHUNK_SHEETS.forEach(name=>{
+      const sh = _sheetByName(name), keep = chunk.rows[name];
+      if (sh && keep!=null && sh.getLastRow()>keep) sh.deleteRows(keep+1, sh.getLastRow()-keep);
+    });
+  }
+  _proposalInputs_(runId); // prunes Report_History once per execution: after the rollback, before the counts
+  const rows = {};
+  CHUNK_SHEETS.forEach(name=>{ const sh = _sheetByName(name); rows[name] = Math.max(1, sh ? sh.getLastRow() : 0); }); // never the header
+  props.setProperty(CHUNK_KEY, JSON.stringify({ runId, carrier, offset, rows }));
+}
+
+const RUN_STATUS_HEADER = ["RunId","Mode","Carrier","Status","RowsDone","RowsTotal","StartedAt","UpdatedAt","Note"];
+
+function ensureRunStatusSheet_(){
+  const sh = _ensureSheet(RUN_STATUS_SHEET);
+  if (sh.getLastRow()===0) sh.appendRow(RUN_STATUS_HEADER);
+  return sh;
+}
+
+// Upserts the RunId + Carrier row; fields = { Status, RowsDone, ... } by header name
+function _setRunStatus_(runId, carrier, fields){
+  const sh = ensureRunStatusSheet_();
+  const values = sh.getDataRange().getValues();
+  const col = _titleRowToIndex(values[0]);
+  let r = values.findIndex((v,i)=>i>0 && String(v[col["RunId"]])===runId && v[col["Carrier"]]===carrier);
+  const row = r>0 ? values[r].slice(0, RUN_STATUS_HEADER.length) : RUN_STATUS_HEADER.map(()=>"");
+  while (row.length < RUN_STATUS_HEADER.length) row.push("");
+  Object.assign(fields, { RunId: runId, Carrier: carrier, UpdatedAt: _nowIso() });
+  for (const k in fields) if (col[k]!=null) row[col[k]] = fields[k];
+  if (r<=0) r = values.length;
+  sh.getRange(r+1, 1, 1, row.length).setValues([row]);
 }
 function _cleanupSelfTriggers_(funcName){
   ScriptApp.getProjectTriggers().forEach(t=>{ if (t.getHandlerFunction && t.getHandlerFunction()===funcName) ScriptApp.deleteTrigger(t); });
@@ -545,21 +1144,10 @@ function exportCsvForReuselyChangedOnly() {
   if (!psh) { ui.alert("Missing 'Proposals' sheet."); return; }
   const pVals = psh.getDataRange().getValues();
   if (pVals.length < 2) { ui.alert("'Proposals' is empty."); return; }
-  const ph = _titleRowToIndex(pVals[0]);
-
-  const condToApi = { "New":"New", "Mint":"Flawless", "Good":"Good", "Fair":"Fair", "Broken":"Broken" };
-  const latestByPid = {};
-  for (let i = 1; i < pVals.length; i++) {
-    const r = pVals[i];
-    const pid = String(r[ph["product_id"]] || "").trim();
-    const cond = String(r[ph["Condition"]] || "").trim();
-    const prop = r[ph["ProposedPrice"]];
-    if (!pid || !cond || prop === "" || prop == null || isNaN(Number(prop))) continue;
-    const key = condToApi[cond];
-    if (!key) continue;
-    if (!latestByPid[pid]) latestByPid[pid] = { New:"", Flawless:"", Good:"", Fair:"", Broken:"" };
-    latestByPid[pid][key] = Math.round(Number(prop));
-  }
+
+  loadConditions_();
+  // Approved, non-quarantined rows only: push-prices.js pushes this file without re-checking approval
+  const latestByPid = approvedPricesByProduct_(pVals);
 
   const csh = ss.getSheetByName(CATALOG_SHEET);
   if (!csh) { ui.alert(`Missing '${CATALOG_SHEET}' sheet.`); return; }
@@ -567,11 +1155,14 @@ function exportCsvForReuselyChangedOnly() {
   if (cVals.length < 2) { ui.alert(`'${CATALOG_SHEET}' has no data.`); return; }
   const ch = _titleRowToIndex(cVals[0]);
 
-  const PRICE_HEADERS = ["Brand New","Flawless","Good","Fair","Broken"];
+  // Catalog price columns in ladder order (Conditions tab)
+  const PRICE_HEADERS = CONDITIONS.map(c => PRICE_COLS_IN_CATALOG[c]);
   const nonPriceHeaders = cVals[0].filter(h => PRICE_HEADERS.indexOf(String(h)) === -1);
   const csvHeader = nonPriceHeaders.concat(PRICE_HEADERS);
   const out = [csvHeader];
 
+  const blocked = [];
+
   function getCellByName(row, name) { const idx = ch[name]; return (idx == null) ? "" : row[idx]; }
 
   for (let i = 1; i < cVals.length; i++) {
@@ -579,62 +1170,42 @@ function exportCsvForReuselyChangedOnly() {
     const pid = String(getCellByName(r, "product_id") || "").trim();
     if (!pid) continue;
 
-    const curPrices = {
-      "Brand New": numOrZero(getCellByName(r, "Brand New")),
-      "Flawless" : numOrZero(getCellByName(r, "Flawless")),
-      "Good"     : numOrZero(getCellByName(r, "Good")),
-      "Fair"     : numOrZero(getCellByName(r, "Fair")),
-      "Broken"   : numOrZero(getCellByName(r, "Broken")),
-    };
-
     const props = latestByPid[pid] || {};
-    const newPrices = {
-      "Brand New": numOrKeep(props["New"],       curPrices["Brand New"]),
-      "Flawless" : numOrKeep(props["Flawless"],  curPrices["Flawless"]),
-      "Good"     : numOrKeep(props["Good"],      curPrices["Good"]),
-      "Fair"     : numOrKeep(props["Fair"],      curPrices["Fair"]),
-      "Broken"   : numOrKeep(props["Broken"],    curPrices["Broken"]),
-    };
-
-    const changed =
-      newPrices["Brand New"] !== curPrices["Brand New"] ||
-      newPrices["Flawless"]  !== curPrices["Flawless"]  ||
-      newPrices["Good"]      !== curPrices["Good"]      ||
-      newPrices["Fair"]      !== curPrices["Fair"]      ||
-      newPrices["Broken"]    !== curPrices["Broken"];
+    const curPrices = {}, newPrices = {};
+    PRICE_HEADERS.forEach(h => {
+      curPrices[h] = numOrZero(getCellByName(r, h));
+      newPrices[h] = numOrKeep(props[h], curPrices[h]);
+    });
 
+    const changed = PRICE_HEADERS.some(h => newPrices[h] !== curPrices[h]);
     if (!changed) continue;
 
+    const inverted = ladderViolations_(newPrices, PRICE_HEADERS);
+    if (inverted.length) { blocked.push(`${pid}: ${inverted.join(", ")}`); continue; }
+
     const rowOut = [];
     nonPriceHeaders.forEach(h => {
       const idx = ch[h];
       rowOut.push(idx == null ? "" : cVals[i][idx]);
     });
 
-    rowOut.push(
-      newPrices["Brand New"],
-      newPrices["Flawless"],
-      newPrices["Good"],
-      newPrices["Fair"],
-      newPrices["Broken"]
-    );
+    PRICE_HEADERS.forEach(h => rowOut.push(newPrices[h]));
 
     out.push(rowOut);
   }
 
-  if (out.length === 1) { ui.alert("No changes detected vs. catalog — nothing to export."); return; }
+  const blockedMsg = blocked.length
+    ? `\n\nBlocked ${blocked.length} product(s) with an inverted condition ladder:\n${blocked.slice(0,20).join("\n")}`
+    : "";
+  if (out.length === 1) { ui.alert("No changes detected vs. catalog — nothing to export." + blockedMsg); return; }
 
   const csv = toCsv_(out);
   const ts = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyyMMdd_HHmmss");
   const fileName = `reusely_prices_changed_${ts}.csv`;
   const file = DriveApp.createFile(fileName, csv, MimeType.CSV);
-  ui.alert(`CSV created (changed rows only):\n${fileName}\n\nOpen in Drive:\nhttps://drive.google.com/open?id=${file.getId()}`);
+  ui.alert(`CSV created (changed rows only):\n${fileName}\n\nOpen in Drive:\nhttps://drive.google.com/open?id=${file.getId()}` + blockedMsg);
 }
 
 /* ===== helpers for CSV exporter ===== */
 function numOrZero(v){ const n = Number(v); return isNaN(n)? 0 : Math.round(n); }
 function numOrKeep(v, keep){ const n = Number(v); return (v==null || v==="" || isNaN(n)) ? keep : Math.round(n); }
-function toCsv_(rows) {
-  const esc = v => { if (v == null) v = ""; v = String(v); if (/[",\n]/.test(v)) v = '"' + v.replace(/"/g, '""') + '"'; return v; };
-  return rows.map(r => r.map(esc).join(",")).join("\n") + "\n";
-}
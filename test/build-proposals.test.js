@@ -0,0 +1,71 @@
+// build-proposals.js end to end on the fixtures – run with `node --test test/*.test.js`
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const core = require('../pricing-core');
+
+const fixtures = path.join(__dirname, 'fixtures');
+const cli = path.join(__dirname, '..', 'build-proposals.js');
+
+test('writes Proposals CSV and JSON with the sheet columns', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proposals-'));
+  try {
+    const args = [cli, '--report', `Unlocked=${path.join(fixtures, 'report-unlocked.json')}`,
+      '--catalog', path.join(fixtures, 'catalog.json'), '--run-id', 'TEST'];
+    execFileSync(process.execPath, args.concat(['--out', path.join(dir, 'p.csv')]), { stdio: 'pipe' });
+    execFileSync(process.execPath, args.concat(['--out', path.join(dir, 'p.json'), '--unmatched', path.join(dir, 'u.csv'),
+      '--summary', path.join(dir, 's.json')]), { stdio: 'pipe' });
+
+    // Same as the fixture apart from the When column
+    const expected = fs.readFileSync(path.join(fixtures, 'expected-proposals-unlocked.csv'), 'utf8');
+    const dropWhen = text => text.split('\n').map(l => l.replace(/^[^,]*,/, '')).join('\n');
+    assert.strictEqual(dropWhen(fs.readFileSync(path.join(dir, 'p.csv'), 'utf8')), dropWhen(expected));
+
+    const json = JSON.parse(fs.readFileSync(path.join(dir, 'p.json'), 'utf8'));
+    assert.strictEqual(json.length, 12);
+    assert.strictEqual(json[1].Status, 'TRIM LEAD | DRY-RUN');
+    assert.strictEqual(json[1].Approval, 'Approved');
+
+    assert.match(fs.readFileSync(path.join(dir, 'u.csv'), 'utf8'), /^Carrier,Model,Storage,Candidate 1,Score 1/);
+
+    const summary = JSON.parse(fs.readFileSync(path.join(dir, 's.json'), 'utf8'));
+    const all = summary[summary.length - 1];
+    assert.strictEqual(all.Carrier, 'ALL');
+    assert.strictEqual(all.Rows, 12);
+    assert.strictEqual(all['Total $ vs prev'], '');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('exits non-zero without --report / --catalog', () => {
+  assert.throws(() => execFileSync(process.execPath, [cli], { stdio: 'pipe' }), /Usage/);
+});
+
+test('--history archives each run and fills Trend', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proposals-'));
+  try {
+    const history = path.join(dir, 'history.csv');
+    const run = runId => {
+      const out = path.join(dir, `${runId}.json`);
+      execFileSync(process.execPath, [cli, '--report', `Unlocked=${path.join(fixtures, 'report-unlocked.json')}`,
+        '--catalog', path.join(fixtures, 'catalog.json'), '--history', history, '--run-id', runId, '--out', out], { stdio: 'pipe' });
+      return JSON.parse(fs.readFileSync(out, 'utf8'));
+    };
+
+    assert.strictEqual(run('R1')[0].Trend, 'NEW');
+    const second = run('R2');
+    assert.strictEqual(second[0].Trend, 'FLAT');
+    assert.strictEqual(second[0].Status, 'NEW: TOP-$20 | DRY-RUN');
+
+    const lines = fs.readFileSync(history, 'utf8').trim().split('\n');
+    assert.strictEqual(lines[0], core.REPORT_HISTORY_HEADER.join(','));
+    assert.strictEqual(lines.length, 1 + 2 * 8); // priced rows only: rank, Δ and a current price
+    assert.match(lines[1], /,R1,Unlocked,iPhone 13,128GB,New,2,30,400,430$/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,440 @@
+// Offline checks for pricing-core.js – run with `node --test test/*.test.js`
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+
+const core = require('../pricing-core');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+const OPTS = { when: '2026-01-01 00:00:00', runId: 'TEST' };
+
+test('report + catalog fixtures produce the expected proposals', () => {
+  const { rows, unmatched } = core.planProposals_(
+    [{ carrier: 'Unlocked', values: fixture('report-unlocked.json') }], fixture('catalog.json'), OPTS);
+  const expected = fs.readFileSync(path.join(__dirname, 'fixtures', 'expected-proposals-unlocked.csv'), 'utf8');
+  assert.strictEqual(core.toCsv_([core.PROPOSALS_HEADER].concat(rows)), expected);
+  assert.deepStrictEqual(unmatched.map(u => `${u.carrier}|${u.model}|${u.storage}`), ['Unlocked|Galaxy S99|128GB']);
+});
+
+test('pipeline options: rules, limits, aliases, hold mode', () => {
+  const { rows } = core.planProposals_(
+    [{ carrier: 'Unlocked', values: fixture('report-unlocked.json') }], fixture('catalog.json'),
+    Object.assign({}, OPTS, {
+      rules: core.parsePricingRules_([['Rule', 'Model', 'Strategy'], ['se-match', 'iPhone SE*', 'match_leader']]),
+      limits: core.parsePriceLimits_([['product_id', 'Condition', 'Floor'], ['101', 'Good', '320']]),
+      aliases: core.parseModelAliases_([['Report Model', 'Catalog Model'], ['Galaxy S99', 'Pixel 7a']]),
+      guardrails: { maxChangeUsd: 50, maxChangePct: 20, mode: 'hold' },
+    }));
+  const row = (model, storage, cond) => {
+    const r = rows.find(x => x[2] === model && x[3] === storage && x[4] === cond);
+    return Object.fromEntries(core.PROPOSALS_HEADER.map((h, i) => [h, r[i]]));
+  };
+
+  assert.strictEqual(row('iPhone SE (2nd Gen)', '64GB', 'Mint').Status, 'MATCH LEADER | DRY-RUN');
+  assert.strictEqual(row('iPhone SE (2nd Gen)', '64GB', 'Mint').Rule, 'se-match [match_leader]');
+  assert.strictEqual(row('iPhone 13', '128GB', 'Good').ProposedPrice, '');
+  assert.strictEqual(row('iPhone 13', '128GB', 'Good').Status, 'CHASE #1 | HELD (FLOOR $320) | DRY-RUN');
+  assert.strictEqual(row('Galaxy S99', '128GB', 'Good').product_id, '104');
+});
+
+test('CSV round trip', () => {
+  const rows = [['a', 'b,c', 'say "hi"'], ['multi\nline', '', '1']];
+  assert.deepStrictEqual(core.parseCsv_(core.toCsv_(rows)), rows);
+  assert.deepStrictEqual(core.parseCsv_('\uFEFFx,y\r\n1,2\r\n'), [['x', 'y'], ['1', '2']]);
+});
+
+test('normalization', () => {
+  assert.strictEqual(core._gbNormalize('128 gb'), '128GB');
+  assert.strictEqual(core._gbNormalize(' 1tb '), '1TB');
+  assert.strictEqual(core._normalizeCarrier('AT&T Wireless'), 'AT&T');
+  assert.strictEqual(core._normalizeCarrier('tmobile'), 'T-Mobile');
+  assert.strictEqual(core._normalizeCarrier('Factory Unlocked'), 'Unlocked');
+  assert.strictEqual(core._extractModelFromCatalog_('iPhone 14 Pro Verizon 256GB', 'Verizon', '256GB'), 'iPhone 14 Pro');
+  assert.strictEqual(core._extractModelFromCatalog_('iPhone SE (3rd Gen) AT&T 64GB', 'AT&T', '64GB'), 'iPhone SE (2022)');
+});
+
+test('computeNewPrice_ validates input', () => {
+  assert.deepStrictEqual(core.computeNewPrice_(null, 1, 5, 'Good'), { proposed: '', reason: 'NO CURRENT PRICE' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, '', 5, 'Good'), { proposed: '', reason: 'MISSING RANK/Δ' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 2, 'x', 'Good'), { proposed: '', reason: 'MISSING RANK/Δ' });
+});
+
+test('pricing strategies', () => {
+  const rule = (strategy, param) => Object.assign(core.defaultPricingRule_(), { strategy, param: param == null ? null : param });
+
+  assert.deepStrictEqual(core.computeNewPrice_(100, 2, 10, 'Good'), { proposed: 111, reason: 'CHASE #1' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 1, -10, 'Good'), { proposed: 91, reason: 'TRIM LEAD' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 1, -3, 'Good'), { proposed: 100, reason: 'NO CHANGE' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 3, 50, 'New'), { proposed: 130, reason: 'NEW: TOP-$20' });
+
+  assert.deepStrictEqual(core.computeNewPrice_(100, 4, 10, 'Good', rule('hold_rank', 2)), { proposed: 109, reason: 'HOLD #2: BELOW LEADER' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 1, -10, 'Good', rule('hold_rank', 2)), { proposed: 89, reason: 'HOLD #2: BELOW RUNNER-UP' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 5, 10, 'Good', rule('hold_rank', 3)), { proposed: '', reason: 'HOLD #3: UNSUPPORTED RANK' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 1, -10, 'Good', rule('hold_rank', 3)), { proposed: '', reason: 'HOLD #3: UNSUPPORTED RANK' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 2, 10, 'Good', rule('match_leader')), { proposed: 110, reason: 'MATCH LEADER' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 2, 20, 'Good', rule('within_pct_of_leader', 5)), { proposed: 114, reason: 'WITHIN 5% OF LEADER' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 1, -10, 'Good', rule('max_margin')), { proposed: 100, reason: 'NO CHANGE' });
+  assert.deepStrictEqual(core.computeNewPrice_(100, 2, 10, 'Good', rule('max_margin')), { proposed: 111, reason: 'MAX MARGIN: CHASE #1' });
+});
+
+test('pricing rules: most specific row wins, unknown strategy or unsupported rank throws', () => {
+  const rules = core.parsePricingRules_([
+    ['Rule', 'Carrier', 'Model', 'Storage', 'Condition', 'Strategy', 'StrategyParam', 'PriceBump'],
+    ['all-att', 'ATT', '', '', '', 'match_leader', '', ''],
+    ['att-iphones-good', 'AT&T', 'iPhone*', '', 'Good', '', '', '3'],
+    ['empty', '', '', '', '', '', '', ''],
+  ]);
+  assert.strictEqual(rules.length, 2);
+  assert.strictEqual(core.resolvePricingRule_(rules, 'AT&T', 'iPhone 13', '128GB', 'Good').name, 'att-iphones-good');
+  assert.strictEqual(core.resolvePricingRule_(rules, 'AT&T', 'iPhone 13', '128GB', 'Good').bump, 3);
+  assert.strictEqual(core.resolvePricingRule_(rules, 'AT&T', 'Pixel 7', '128GB', 'Good').strategy, 'match_leader');
+  assert.strictEqual(core.resolvePricingRule_(rules, 'Verizon', 'iPhone 13', '128GB', 'Good').name, 'DEFAULT');
+
+  assert.throws(() => core.parsePricingRules_([['Rule', 'Strategy'], ['bad', 'yolo']]), /Unknown strategy "yolo"/);
+  assert.throws(() => core.parsePricingRules_([['Rule', 'Strategy', 'StrategyParam'], ['third', 'hold_rank', '3']]),
+    /hold_rank only supports StrategyParam 1 or 2 \(got 3\) in third/);
+  assert.strictEqual(core.parsePricingRules_([['Rule', 'Strategy', 'StrategyParam'], ['second', 'hold_rank', '2']])[0].param, 2);
+});
+
+test('guardrails clamp or hold', () => {
+  const none = { floor: null, ceiling: null };
+  assert.deepStrictEqual(core.applyGuardrails_(100, 150, none), { proposed: 120, note: 'CLAMPED (MAX CHANGE ±$20)' });
+  assert.deepStrictEqual(core.applyGuardrails_(100, 150, none, { mode: 'hold' }), { proposed: '', note: 'HELD (MAX CHANGE ±$20)' });
+  assert.deepStrictEqual(core.applyGuardrails_(100, 105, { floor: 110, ceiling: null }), { proposed: 110, note: 'CLAMPED (FLOOR $110)' });
+  assert.deepStrictEqual(core.applyGuardrails_(1000, 1080, none, { maxChangeUsd: 100 }), { proposed: 1080, note: '' });
+  // cheap items keep a $1 allowance instead of freezing at $0
+  assert.strictEqual(core.maxChangeFor_(4, 50, 20), 1);
+  assert.deepStrictEqual(core.applyGuardrails_(4, 10, none), { proposed: 5, note: 'CLAMPED (MAX CHANGE ±$1)' });
+  assert.deepStrictEqual(core.applyGuardrails_(4, 5, none, { mode: 'hold' }), { proposed: 5, note: '' });
+
+  const limits = core.parsePriceLimits_([
+    ['product_id', 'Condition', 'Floor', 'Ceiling'],
+    ['101', '', '50', '500'],
+    ['101', 'Good', '80', ''],
+  ]);
+  assert.deepStrictEqual(core._limitFor_(limits, 101, 'Good'), { floor: 80, ceiling: null });
+  assert.deepStrictEqual(core._limitFor_(limits, 101, 'Mint'), { floor: 50, ceiling: 500 });
+  assert.deepStrictEqual(core._limitFor_(limits, 999, 'Mint'), { floor: null, ceiling: null });
+});
+
+test('condition ladder', () => {
+  assert.deepStrictEqual(core.ladderViolations_({ New: 300, Mint: 320, Good: 250 }, core.CONDITIONS), ['Mint $320 > New $300']);
+  assert.deepStrictEqual(core.ladderViolations_({ New: 300, Mint: 0, Good: 250 }, core.CONDITIONS), []);
+
+  const p = (condition, current, proposed) => ({ carrier: 'Unlocked', productId: '1', condition, current, proposed, notes: [] });
+  const rows = [p('New', 300, 300), p('Mint', 290, 298), p('Good', 250, '')];
+  core.enforceConditionLadder_(rows, 5);
+  assert.strictEqual(rows[1].proposed, 295);
+  assert.deepStrictEqual(rows[1].notes, ['LADDER: Mint ≤ New-$5 (was 298)']);
+  assert.strictEqual(rows[2].proposed, '');
+
+  // the max-change clamp runs after the ladder and inverts it again: both rows stay Pending
+  const { rows: planned } = core.planProposals_(
+    [{ carrier: 'Unlocked', values: [['Report'], ['Model', 'Storage', 'New Rank', 'New Δ', 'Mint Rank', 'Mint Δ'], ['iPhone 13', '128GB', 2, 100, 2, 60]] }],
+    [['product_id', 'product_name', 'network_name', 'size_name', 'Brand New', 'Flawless'], [101, 'iPhone 13 Unlocked 128GB', 'Unlocked', '128GB', 300, 320]],
+    OPTS);
+  const byCond = Object.fromEntries(planned.map(r => [r[4], Object.fromEntries(core.PROPOSALS_HEADER.map((h, i) => [h, r[i]]))]));
+  assert.strictEqual(byCond.New.ProposedPrice, 350);
+  assert.strictEqual(byCond.Mint.ProposedPrice, 370);
+  assert.strictEqual(byCond.Mint.Status, 'CHASE #1 | LADDER: Mint ≤ New-$5 (was 381) | CLAMPED (MAX CHANGE ±$50) | LADDER INVERTED (Mint $370 > New $350) | DRY-RUN');
+  assert.strictEqual(byCond.New.Approval, 'Pending');
+  assert.strictEqual(byCond.Mint.Approval, 'Pending');
+  assert.match(byCond.New.Status, /LADDER INVERTED \(Mint \$370 > New \$350\)/);
+
+  // only Mint would be auto-Approved: applied alone it lands above the live New price
+  const partial = core.planProposals_(
+    [{ carrier: 'Unlocked', values: [['Report'], ['Model', 'Storage', 'New Rank', 'New Δ', 'Mint Rank', 'Mint Δ'], ['iPhone 13', '128GB', 2, 49, 2, 4]] }],
+    [['product_id', 'product_name', 'network_name', 'size_name', 'Brand New', 'Flawless'], [101, 'iPhone 13 Unlocked 128GB', 'Unlocked', '128GB', 300, 298]],
+    OPTS).rows;
+  const mint = Object.fromEntries(core.PROPOSALS_HEADER.map((h, i) => [h, partial.find(r => r[4] === 'Mint')[i]]));
+  assert.strictEqual(partial.find(r => r[4] === 'New')[8], 329);
+  assert.strictEqual(mint.ProposedPrice, 303);
+  assert.strictEqual(mint.Status, 'CHASE #1 | LADDER INVERTED (Mint $303 > New $300) | DRY-RUN');
+  assert.strictEqual(mint.Approval, 'Pending');
+});
+
+test('storage and carrier consistency', () => {
+  const p = (carrier, storage, proposed) => ({
+    carrier, model: 'iPhone 13', modelKey: 'iPhone 13', storage, condition: 'Good', current: proposed, proposed, notes: [],
+  });
+  const flagged = [p('Unlocked', '128GB', 300), p('Unlocked', '256GB', 305), p('AT&T', '128GB', 320)];
+  core.checkStorageAndCarrierConsistency_(flagged, { fix: false, storageStep: 10, unlockedPremium: 0 });
+  assert.ok(flagged[1].notes.some(n => n.startsWith('STORAGE:')));
+  assert.ok(flagged[0].notes.some(n => n.startsWith('UNLOCKED <')));
+  assert.strictEqual(flagged[1].proposed, 305);
+
+  const fixed = [p('Unlocked', '128GB', 300), p('Unlocked', '256GB', 305)];
+  core.checkStorageAndCarrierConsistency_(fixed, { fix: true, storageStep: 10, unlockedPremium: 0 });
+  assert.strictEqual(fixed[1].proposed, 310);
+
+  // one carrier per pass (sequential runner, Run carrier…): the other carriers come from the catalog
+  const catalogPrices = { 'iPhone 13|Unlocked|128GB': { Good: 300 }, 'iPhone 13|AT&T|128GB': { Good: 320 }, 'Pixel 7a|AT&T|128GB': { Good: 500 } };
+  const att = [p('AT&T', '128GB', 310)];
+  const reference = core.catalogReferenceRows_(catalogPrices, att);
+  assert.deepStrictEqual(reference.map(r => `${r.carrier} ${r.modelKey} ${r.current}`), ['Unlocked iPhone 13 300']);
+  core.checkStorageAndCarrierConsistency_(att, { fix: true, storageStep: 10, unlockedPremium: 0, reference });
+  assert.deepStrictEqual(att[0].notes, ['ABOVE UNLOCKED (catalog) $300-$0']);
+  assert.strictEqual(att[0].proposed, 310);
+
+  const unlocked = [p('Unlocked', '128GB', 300)];
+  core.checkStorageAndCarrierConsistency_(unlocked, { fix: true, storageStep: 10, unlockedPremium: 0, reference: core.catalogReferenceRows_(catalogPrices, unlocked) });
+  assert.deepStrictEqual(unlocked[0].notes, ['UNLOCKED < AT&T (catalog)+$0 → FIXED (was 300)']);
+  assert.strictEqual(unlocked[0].proposed, 320);
+});
+
+test('model aliases and fuzzy candidates', () => {
+  const aliases = core.parseModelAliases_([
+    ['Report Model', 'Catalog Model', 'Carrier'],
+    ['Galaxy S99', 'Galaxy S99 5G', ''],
+    ['Pixel 7a', 'Google Pixel 7a', 'Verizon'],
+  ]);
+  assert.strictEqual(core.resolveCatalogModel_(aliases, 'galaxy s99', 'AT&T'), 'Galaxy S99 5G');
+  assert.strictEqual(core.resolveCatalogModel_(aliases, 'Pixel 7a', 'Verizon'), 'Google Pixel 7a');
+  assert.strictEqual(core.resolveCatalogModel_(aliases, 'Pixel 7a', 'AT&T'), 'Pixel 7a');
+
+  const models = { Unlocked: { 'Pixel 7': true, 'Google Pixel 7a': true, 'iPhone 13': true } };
+  assert.strictEqual(core.fuzzyCatalogCandidates_(models, 'Pixel 7a', 'Unlocked', 1)[0].model, 'Google Pixel 7a');
+  assert.deepStrictEqual(core.fuzzyCatalogCandidates_(models, 'Pixel 7a', 'Verizon', 3), []);
+});
+
+test('report chunks never split a model', () => {
+  const rows = [['Report'], ['Model', 'Storage', 'Good Rank', 'Good Δ']];
+  ['A', 'A', 'B', 'B', 'B', 'C'].forEach(m => rows.push([m, '128GB', '1', '-5']));
+  const records = core.parseReportValues_(rows, 'Report_Test');
+  assert.deepStrictEqual(records.map(r => r.row), [0, 1, 2, 3, 4, 5]);
+  assert.strictEqual(core.reportChunkEnd_(records, 0, 2), 2);
+  assert.strictEqual(core.reportChunkEnd_(records, 2, 2), 5);
+  assert.strictEqual(core.reportChunkEnd_(records, 5, 2), 6);
+  assert.strictEqual(core.reportChunkEnd_(records, 0, 100), 6);
+});
+
+test('carriers config drives the normalizer', () => {
+  const carriers = core.parseCarriers_([
+    ['Name', 'Aliases', 'AllGB Tab', 'Legacy Tab', 'Enabled'],
+    ['Unlocked', '', '', '', ''],
+    ['Metro', 'metropcs; metro by t-mobile', 'Report_Metro_AllGB', '', 'yes'],
+    ['T-Mobile', 'tmobile', '', '', 'no'],
+    ['Straight Talk', 'straighttalk', '', '', ''],
+  ]);
+  assert.deepStrictEqual(carriers[1], {
+    name: 'Metro', aliases: ['metropcs', 'metro by t-mobile'], tabAll: 'Report_Metro_AllGB', tabLegacy: 'Report_Metro', enabled: true,
+  });
+  assert.strictEqual(carriers[2].enabled, false);
+  assert.strictEqual(carriers[3].tabAll, 'Report_StraightTalk_AllGB');
+
+  try {
+    core.setCarriers_(carriers);
+    assert.strictEqual(core._normalizeCarrier('Metro by T-Mobile'), 'Metro');
+    assert.strictEqual(core._normalizeCarrier('TMobile'), 'T-Mobile');
+    assert.strictEqual(core._normalizeCarrier('Straight Talk Wireless'), 'Straight Talk');
+    assert.strictEqual(core._normalizeCarrier('AT&T'), 'at&t');
+    assert.strictEqual(core._extractModelFromCatalog_('Pixel 7a Straight Talk 128GB', 'Straight Talk', '128GB'), 'Pixel 7a');
+  } finally {
+    core.setCarriers_([]);
+  }
+  assert.strictEqual(core._normalizeCarrier('AT&T Wireless'), 'AT&T');
+  assert.throws(() => core.parseCarriers_([['Carrier'], ['x']], 'Carriers'), /Carriers missing column: Name/);
+});
+
+test('condition taxonomy: renamed and extra grades', () => {
+  const taxonomy = core.parseConditionTaxonomy_([
+    ['Condition', 'Reusely Name', 'Catalog Column', 'Aliases'],
+    ['New', 'Brand New', '', 'new'],
+    ['Excellent', 'Like New', '', ''],
+    ['Good', '', '', ''],
+    ['Cracked', 'Cracked', 'Cracked Screen', 'broken; damaged'],
+  ]);
+  assert.deepStrictEqual(taxonomy[1], { key: 'Excellent', reusely: 'Like New', catalog: 'Like New', aliases: [] });
+  assert.throws(() => core.parseConditionTaxonomy_([['Condition'], ['Good'], ['good']], 'Conditions'), /row 3: duplicate condition "good"/);
+
+  try {
+    core.setConditionTaxonomy_(taxonomy);
+    assert.deepStrictEqual(core.CONDITIONS, ['New', 'Excellent', 'Good', 'Cracked']);
+    assert.strictEqual(core.CONDITION_TO_REUSELY.Excellent, 'Like New');
+    assert.strictEqual(core.PRICE_COLS_IN_CATALOG.Cracked, 'Cracked Screen');
+    assert.strictEqual(core.conditionKeyFor_('like new'), 'Excellent');
+    assert.strictEqual(core.conditionKeyFor_('Damaged'), 'Cracked');
+    assert.strictEqual(core.conditionKeyFor_('Flawless'), null);
+
+    const report = [['Report'], ['Model', 'Storage', 'Excellent Rank', 'Excellent Δ'], ['iPhone 13', '128GB', '2', '10']];
+    const catalog = [
+      ['product_id', 'product_name', 'network_name', 'size_name', 'Like New'],
+      ['101', 'iPhone 13 Unlocked 128GB', 'Unlocked', '128GB', '300'],
+    ];
+    const { rows } = core.planProposals_([{ carrier: 'Unlocked', values: report }], catalog, OPTS);
+    const row = Object.fromEntries(core.PROPOSALS_HEADER.map((h, i) => [h, rows[0][i]]));
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(row.Condition, 'Excellent');
+    assert.strictEqual(row.CurrentPrice, 300);
+    assert.strictEqual(row.ProposedPrice, 311);
+    assert.strictEqual(row.product_id, '101');
+  } finally {
+    core.setConditionTaxonomy_(null);
+  }
+  assert.deepStrictEqual(core.CONDITIONS, ['New', 'Mint', 'Good', 'Fair', 'Broken']);
+  assert.strictEqual(core.CONDITION_TO_REUSELY.New, 'Brand New');
+});
+
+test('anomalies are quarantined and never auto-approved', () => {
+  const report = [
+    ['Swappa report – Unlocked – 2026-01-01 06:00'],
+    ['Model', 'Storage', 'Good Rank', 'Good Δ', 'Fair Rank', 'Fair Δ'],
+    ['iPhone 13', '128GB', 2, 10, 3, 300],
+    ['iPhone 13', '256GB', 'n/a', 5, 0, 5],
+    ['Pixel 7a', '128GB', 2, 5, 2, 5],
+    ['Pixel 7a', '128 GB', 1, -10, 1, -10],
+  ];
+  assert.deepStrictEqual(core.reportDate_(report), new Date(2026, 0, 1, 6, 0, 0));
+  assert.deepStrictEqual(core.reportDate_([['Report 1/31/2026']]), new Date(2026, 0, 31));
+  assert.strictEqual(core.reportDate_([['Swappa report']]), null);
+
+  const plan = now => core.planProposals_([{ carrier: 'Unlocked', values: report }], fixture('catalog.json'), Object.assign({}, OPTS, { now }));
+  const { rows, quarantine } = plan(new Date(2026, 0, 1, 12, 0, 0));
+  const reasons = Object.fromEntries(quarantine.map(q => [`${q[3]}|${q[4]}|${q[5]}`, q[11]]));
+  assert.deepStrictEqual(reasons, {
+    'iPhone 13|128GB|Fair': 'Δ +$300 > 1× CURRENT $250',
+    'iPhone 13|256GB|Good': 'RANK NOT A NUMBER ("n/a")',
+    'iPhone 13|256GB|Fair': 'RANK OUT OF RANGE (0)',
+    'Pixel 7a|128GB|Good': 'DUPLICATE ROW (report rows 5, 6)',
+    'Pixel 7a|128GB|Fair': 'DUPLICATE ROW (report rows 5, 6)',
+  });
+  assert.strictEqual(quarantine.length, 7);
+
+  const fair = rows.find(r => r[2] === 'iPhone 13' && r[3] === '128GB' && r[4] === 'Fair');
+  assert.strictEqual(fair[9], 'CHASE #1 | LADDER: Fair ≤ Good-$5 (was 551) | CLAMPED (MAX CHANGE ±$50) | QUARANTINED: Δ +$300 > 1× CURRENT $250 | DRY-RUN');
+  assert.strictEqual(fair[10], 'Pending');
+  const trim = rows.find(r => r[2] === 'Pixel 7a' && r[4] === 'Good' && r[5] === 1);
+  assert.strictEqual(trim[10], 'Pending'); // TRIM LEAD would be auto-approved
+
+  const stale = plan(new Date(2026, 0, 4, 0, 0, 0)).quarantine;
+  assert.strictEqual(stale.length, 8);
+  assert.match(stale[0][11], /STALE REPORT \(66h old > 48h\)$/);
+});
+
+test('changed-only export takes Approved, non-quarantined prices only', () => {
+  const row = (condition, proposed, status, approval) => ['', 'Unlocked', 'iPhone 13', '128GB', condition, 2, 10, 300, proposed, status, approval, '101', 'default', 'R1', ''];
+  const values = [core.PROPOSALS_HEADER,
+    row('Good', 311, 'CHASE #1 | DRY-RUN', 'Approved'),
+    row('New', 420, 'NEW: TOP-$20 | DRY-RUN', 'Pending'),
+    row('Fair', 260, 'CHASE #1 | QUARANTINED: DUPLICATE ROW (report rows 5, 6) | DRY-RUN', 'Approved'),
+    row('Mint', 330, 'CHASE #1 | DRY-RUN', 'Rejected'),
+    row('Broken', '', 'NO CHANGE', ''),
+  ];
+  assert.deepStrictEqual(core.approvedPricesByProduct_(values), { 101: { Good: 311 } });
+  // older layouts without an Approval column keep every priced row
+  assert.deepStrictEqual(core.approvedPricesByProduct_([['product_id', 'Condition', 'ProposedPrice'], ['101', 'New', '410.4']]), { 101: { 'Brand New': 410 } });
+});
+
+test('report history: trend and damping', () => {
+  const history = refs => core.indexReportHistory_([core.REPORT_HISTORY_HEADER].concat(refs.map(([at, ref, runId]) =>
+    [at, runId || 'R0', 'Unlocked', 'iPhone 13', '128 GB', 'Good', 2, ref - 300, 300, ref])), 'NOW');
+  const proposal = () => ({ carrier: 'Unlocked', model: 'iPhone 13', storage: '128GB', condition: 'Good', current: 300, delta: 40, proposed: 341, notes: [] });
+  const now = new Date(2026, 0, 2, 0, 0, 0);
+  const run = (refs, damping) => core.applyTrendAndDamping_([proposal()], history(refs), damping, now)[0];
+
+  // One-off spike: last run the leader was below us
+  const spike = run([['2026-01-01 00:00:00', 295]], { mode: 'snapshots', snapshots: 3 });
+  assert.strictEqual(spike.trend, 'UP +$45');
+  assert.strictEqual(spike.proposed, 300);
+  assert.deepStrictEqual(spike.notes, ['DAMPED (1/3 SNAPSHOTS)']);
+
+  const held = run([['2026-01-01 00:00:00', 320], ['2026-01-01 12:00:00', 330]], { mode: 'snapshots', snapshots: 3 });
+  assert.strictEqual(held.proposed, 341);
+  assert.strictEqual(held.trend, 'UP +$10');
+
+  const hours = run([['2026-01-01 00:00:00', 295], ['2026-01-01 12:00:00', 320]], { mode: 'hours', hours: 24 });
+  assert.deepStrictEqual([hours.proposed, hours.notes], [300, ['DAMPED (12h/24h)']]);
+  assert.strictEqual(run([['2026-01-01 00:00:00', 320]], { mode: 'hours', hours: 24 }).proposed, 341);
+
+  // Off: trend only; the run being built is ignored
+  const off = run([['2026-01-01 00:00:00', 340], ['2026-01-02 00:00:00', 999, 'NOW']]);
+  assert.deepStrictEqual([off.proposed, off.trend, off.notes], [341, 'FLAT', []]);
+  assert.strictEqual(run([]).trend, 'NEW');
+
+  const values = [core.REPORT_HISTORY_HEADER, ['2025-10-01 00:00:00'], ['2025-12-31 00:00:00']];
+  assert.deepStrictEqual(core.pruneReportHistory_(values, 60, now), { values: [values[0], values[2]], removed: 1 });
+});
+
+test('rule simulation compares current and candidate rules', () => {
+  const snap = (carrier, condition, rank, delta, current) => ['2026-01-01 00:00:00', 'R1', carrier, 'iPhone 13', '128GB', condition, rank, delta, current, current + delta];
+  const history = [core.REPORT_HISTORY_HEADER,
+    snap('Unlocked', 'Good', 2, 10, 300),   // chase: 311 current, 315 with bump 5
+    snap('Unlocked', 'Good', 1, -3, 300),   // inside the trim threshold: unchanged
+    snap('Unlocked', 'New', 3, 50, 400),    // New undercut: 430 current, 440 with $10
+    snap('AT&T', 'Good', 1, -10, 200),      // trim: 191 current, 195 with bump 5
+    ['2026-01-01 00:00:00', 'R1', 'AT&T', 'iPhone 13', '128GB', 'Fair', '', '', 100, ''],
+  ];
+  const candidate = core.parsePricingRules_([['Rule', 'PriceBump', 'NewUndercut'], ['bigger-bump', '5', '10']]);
+  const rows = core.simulateRules_(history, [], candidate);
+  const byKey = Object.fromEntries(rows.map(r => [`${r[0]}|${r[1]}`, Object.fromEntries(core.SIMULATION_HEADER.map((h, i) => [h, r[i]]))]));
+
+  assert.deepStrictEqual(rows.map(r => `${r[0]}|${r[1]}`), ['Unlocked|New', 'Unlocked|Good', 'Unlocked|ALL', 'AT&T|Good', 'AT&T|ALL', 'ALL|ALL']);
+  assert.deepStrictEqual(byKey['Unlocked|Good'], {
+    Carrier: 'Unlocked', Condition: 'Good', Rows: 2,
+    'Changed (current)': 1, 'Changed (candidate)': 1,
+    'Total $ (current)': 11, 'Total $ (candidate)': 15,
+    'Avg $ (current)': 11, 'Avg $ (candidate)': 15,
+    'Rank 1 (current)': 2, 'Rank 1 (candidate)': 2,
+  });
+  assert.strictEqual(byKey['Unlocked|New']['Total $ (candidate)'], 40);
+  assert.strictEqual(byKey['Unlocked|New']['Rank 1 (candidate)'], 0);
+  assert.strictEqual(byKey['AT&T|Good']['Total $ (current)'], -9);
+  assert.strictEqual(byKey['ALL|ALL'].Rows, 4);
+  assert.strictEqual(byKey['ALL|ALL']['Total $ (candidate)'], 50);
+  assert.deepStrictEqual(core.simulateRules_([core.REPORT_HISTORY_HEADER], [], candidate), []);
+
+  // Model-scoped rules match the alias / SE-resolved catalog model, as when pricing
+  const scoped = core.parsePricingRules_([['Rule', 'Model', 'PriceBump'], ['pixel', 'Pixel 7a', '5'], ['se', 'iPhone SE (2020)', '5']]);
+  const renamed = [core.REPORT_HISTORY_HEADER,
+    ['2026-01-01 00:00:00', 'R1', 'Unlocked', 'Galaxy S99', '128GB', 'Good', 2, 10, 300, 310],
+    ['2026-01-01 00:00:00', 'R1', 'Unlocked', 'iPhone SE (2nd Gen)', '64GB', 'Good', 2, 10, 100, 110],
+  ];
+  const aliases = core.parseModelAliases_([['Report Model', 'Catalog Model'], ['Galaxy S99', 'Pixel 7a']]);
+  const total = (rules, a) => core.simulateRules_(renamed, [], rules, a).pop()[core.SIMULATION_HEADER.indexOf('Total $ (candidate)')];
+  assert.strictEqual(total(scoped, aliases), 30);
+  assert.strictEqual(total(scoped), 26); // without Model_Aliases only the SE rule applies
+});
+
+test('run summary counts statuses and $ moves per carrier/condition', () => {
+  const row = (runId, carrier, model, condition, current, proposed, status) =>
+    ['2026-01-01 00:00:00', carrier, model, '128GB', condition, 2, 10, current, proposed, status, '', '', 'default', runId, ''];
+  const values = [core.PROPOSALS_HEADER,
+    row('R2', 'Unlocked', 'iPhone 13', 'Good', 300, 311, 'CHASE #1 | DRY-RUN'),
+    row('R2', 'Unlocked', 'iPhone 14', 'Good', 400, 430, 'CHASE #1 | APPLY FAILED (500)'),
+    row('R2', 'Unlocked', 'iPhone 13', 'Good', 300, 291, 'TRIM LEAD | APPLIED'),
+    row('R2', 'Unlocked', 'iPhone 13', 'Fair', 200, 200, 'NO CHANGE'),
+    row('R2', 'AT&T', 'Pixel 7', 'Good', '', '', 'NO CATALOG MATCH'),
+    row('R1', 'Unlocked', 'iPhone 13', 'Good', 300, 500, 'CHASE #1 | DRY-RUN'),
+  ];
+  const first = core.summarizeProposals_(values, 'R2');
+  const byKey = rows => Object.fromEntries(rows.map(r => [`${r[0]}|${r[1]}`, Object.fromEntries(core.RUN_SUMMARY_HEADER.map((h, i) => [h, r[i]]))]));
+  const rows = byKey(first.rows);
+
+  assert.deepStrictEqual(first.rows.map(r => `${r[0]}|${r[1]}`), ['Unlocked|Good', 'Unlocked|Fair', 'Unlocked|ALL', 'AT&T|Good', 'AT&T|ALL', 'ALL|ALL']);
+  assert.deepStrictEqual(rows['Unlocked|Good'], {
+    Carrier: 'Unlocked', Condition: 'Good', Rows: 3,
+    'CHASE #1': 2, 'TRIM LEAD': 1, 'NO CHANGE': 0, 'NO CATALOG MATCH': 0, 'APPLY FAILED': 1,
+    Increases: 0, Decreases: 1, 'Total $': -9, 'Avg $': -9, // the failed apply and the DRY-RUN row never went live
+    'Biggest Increase': '', 'Biggest Decrease': 'iPhone 13 128GB (Unlocked Good) -$9',
+    'Increases (prev)': '', 'Decreases (prev)': '', 'Total $ (prev)': '', 'Total $ vs prev': '',
+  });
+  assert.strictEqual(rows['AT&T|ALL']['NO CATALOG MATCH'], 1);
+  assert.strictEqual(rows['AT&T|ALL']['Avg $'], '');
+  assert.strictEqual(rows['ALL|ALL'].Rows, 5);
+  assert.strictEqual(rows['ALL|ALL']['NO CHANGE'], 1);
+
+  const prev = core.summarizeProposals_(values, 'R1').totals;
+  assert.deepStrictEqual(prev['Unlocked|Good'], { increases: 1, decreases: 0, total: 200 }); // a dry run keeps its DRY-RUN moves
+  const compared = byKey(core.summarizeProposals_(values, 'R2', prev).rows);
+  assert.strictEqual(compared['Unlocked|Good']['Total $ vs prev'], -209);
+  assert.strictEqual(compared['Unlocked|Fair']['Increases (prev)'], 0);
+  assert.strictEqual(compared['ALL|ALL']['Decreases (prev)'], 0);
+  assert.deepStrictEqual(core.summarizeProposals_([core.PROPOSALS_HEADER], 'R2'), { rows: [], totals: {} });
+
+  // totals read back from the sheet: the summary table itself, or the "Previous run" block
+  assert.deepStrictEqual(core.runSummaryTotals_([core.RUN_SUMMARY_HEADER].concat(first.rows)), first.totals);
+  const block = [core.RUN_SUMMARY_PREV_HEADER].concat(Object.keys(prev).map(k => k.split('|').concat([prev[k].increases, prev[k].decreases, prev[k].total])), [['', '', '', '', '']]);
+  assert.deepStrictEqual(core.runSummaryTotals_(block), prev);
+});
@@ -0,0 +1,287 @@
+// push-prices.js against mock-reusely-server.js – run with `node --test test/*.test.js`
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+
+const { startMockServer } = require('../mock-reusely-server');
+const { HTTP_POLICY } = require('../reusely-http');
+const { setConditionTaxonomy_, parseConditionTaxonomy_ } = require('../pricing-core');
+const { readRows } = require('../build-proposals');
+
+let mock;
+let push;
+
+test.before(async () => {
+  mock = await startMockServer();
+  process.env.REUSELY_BASE_URL = mock.url;
+  process.env.REUSELY_TENANT_ID = mock.tenantId;
+  process.env.REUSELY_SECRET_KEY = mock.secretKey;
+  Object.assign(HTTP_POLICY, { baseDelayMs: 5, maxDelayMs: 50, requestsPerSecond: 0, maxRetries: 3 });
+  push = require('../push-prices'); // reads the env above at load time
+});
+
+test.after(() => mock.close());
+test.beforeEach(() => mock.reset());
+
+const price = (pid, name) => mock.state.products[pid].pricing.find(p => p.name === name).price;
+
+test('diffs against live prices and pushes only the changed conditions', async () => {
+  const live = await push.fetchLivePrices(101);
+  assert.strictEqual(live['brand new'], 400);
+
+  const { changed, diff } = push.diffAgainstLive({ 'Brand New': 400, Flawless: 339, Good: 309 }, live);
+  assert.deepStrictEqual(changed, { Flawless: 339, Good: 309 });
+  assert.strictEqual(diff.length, 2);
+
+  const { retries } = await push.pushToReusely(101, changed);
+  assert.strictEqual(retries, 0);
+  assert.strictEqual(price(101, 'Flawless'), 339);
+  assert.strictEqual(price(101, 'Good'), 309);
+  assert.strictEqual(price(101, 'Brand New'), 400);
+
+  const post = mock.requests.find(r => r.method === 'POST');
+  assert.deepStrictEqual(post.body, {
+    product_id: 101,
+    conditions: [{ name: 'Flawless', price: 339, is_custom_price: 1 }, { name: 'Good', price: 309, is_custom_price: 1 }],
+  });
+  assert.strictEqual(post.headers['x-tenant-id'], mock.tenantId);
+});
+
+test('retries 429 (Retry-After) and 5xx, then succeeds', async () => {
+  mock.injectFault({ method: 'POST', path: '/admin/pricing', status: 429, retryAfter: 0 });
+  mock.injectFault({ method: 'POST', path: '/admin/pricing', status: 503 });
+  const { retries } = await push.pushToReusely(102, { Good: 345 });
+  assert.strictEqual(retries, 2);
+  assert.strictEqual(price(102, 'Good'), 345);
+});
+
+test('gives up after maxRetries and reports the last status', async () => {
+  mock.injectFault({ method: 'POST', status: 500, times: 10 });
+  await assert.rejects(push.pushToReusely(102, { Good: 345 }), /^Error: 500 .*\(after 3 retries\)$/);
+  assert.strictEqual(price(102, 'Good'), 340);
+});
+
+test('4xx is not retried; invalid payloads are rejected', async () => {
+  mock.injectFault({ method: 'GET', status: 404 });
+  await assert.rejects(push.fetchLivePrices(103), /^Error: 404/);
+
+  await assert.rejects(push.pushToReusely(103, { New: 130 }), /422 .*is not one of Brand New/);
+  await assert.rejects(push.pushToReusely(999, { Good: 10 }), /unknown product_id 999/);
+  assert.strictEqual(mock.requests.filter(r => r.method === 'POST').length, 2);
+});
+
+test('extra grades from the condition taxonomy are pushed under their Reusely names', async () => {
+  try {
+    setConditionTaxonomy_(parseConditionTaxonomy_([
+      ['Condition', 'Reusely Name', 'Aliases'],
+      ['New', 'Brand New', 'new'],
+      ['Excellent', 'Like New', ''],
+      ['Good', '', ''],
+    ]));
+    const byPid = push.groupByProduct([{ product_id: 101, condition: 'Excellent', price: 355 }, { product_id: 101, condition: 'Good', price: 300 }]);
+    assert.deepStrictEqual(byPid[101], { 'Like New': 355, Good: 300 });
+    await push.pushToReusely(101, byPid[101]);
+    assert.strictEqual(price(101, 'Like New'), 355);
+
+    const live = await push.fetchLivePrices(101);
+    assert.deepStrictEqual(push.diffAgainstLive(byPid[101], live).changed, {});
+    // Older tenants report the top grade as "New"
+    assert.deepStrictEqual(push.diffAgainstLive({ 'Brand New': 400 }, { new: 400 }).changed, {});
+  } finally {
+    setConditionTaxonomy_(null);
+  }
+  await assert.rejects(push.pushToReusely(101, { 'Like New': 1 }), /422/);
+});
+
+test('checks tenant headers', async () => {
+  const resp = await fetch(`${mock.url}/api/v2/admin/products/101/pricing`, { headers: { 'x-tenant-id': mock.tenantId } });
+  assert.strictEqual(resp.status, 401);
+});
+
+test('malformed requests get a 400 and the mock keeps serving', async () => {
+  const bad = await fetch(`${mock.url}/__mock/faults`, { method: 'POST', body: '{not json' });
+  assert.strictEqual(bad.status, 400);
+  const headers = { 'x-tenant-id': mock.tenantId, 'x-secret-key': mock.secretKey };
+  const badUri = await fetch(`${mock.url}/api/v2/admin/products/%E0%A4%A/pricing`, { headers });
+  assert.strictEqual(badUri.status, 400);
+  const ok = await fetch(`${mock.url}/api/v2/admin/products/101/pricing`, { headers });
+  assert.strictEqual(ok.status, 200);
+});
+
+test('products list paginates', async () => {
+  const headers = { 'x-tenant-id': mock.tenantId, 'x-secret-key': mock.secretKey };
+  const first = await (await fetch(`${mock.url}/v1/products?limit=3`, { headers })).json();
+  assert.deepStrictEqual(first.items.map(i => i.product_id), [101, 102, 103]);
+  assert.strictEqual(first.last_page, 2);
+  const second = await (await fetch(mock.url + first.next_page_url, { headers })).json();
+  assert.deepStrictEqual(second.items.map(i => i.product_id), [104]);
+  assert.strictEqual(second.next_page_url, null);
+});
+
+// Runs push-prices.js as a CLI against the mock (async, so the mock keeps serving)
+async function runCli(args) {
+  const env = Object.assign({}, process.env, { HTTP_MAX_RETRIES: '1', HTTP_REQUESTS_PER_SECOND: '0' });
+  delete env.SHEET_ID;
+  try {
+    const { stdout } = await execFile(process.execPath, [path.join(__dirname, '..', 'push-prices.js')].concat(args), { env });
+    return { code: 0, stdout };
+  } catch (e) {
+    return { code: e.code, stdout: e.stdout };
+  }
+}
+
+test('--input Proposals CSV + --report pushes only approved rows', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-'));
+  try {
+    const report = path.join(dir, 'report.json');
+    const { code, stdout } = await runCli(['--input', path.join(__dirname, 'fixtures', 'expected-proposals-unlocked.csv'), '--report', report]);
+    assert.strictEqual(code, 0, stdout);
+    assert.doesNotMatch(stdout, /✅/);
+
+    const out = JSON.parse(fs.readFileSync(report, 'utf8'));
+    assert.deepStrictEqual(out.summary, { updated: 2, unchanged: 0, failed: 0, skipped: 0 });
+    const p101 = out.products.find(p => p.product_id === 101);
+    assert.strictEqual(p101.result, 'updated');
+    assert.strictEqual(p101.httpStatus, 200);
+    assert.deepStrictEqual(p101.payload, { product_id: 101, conditions: [{ name: 'Flawless', price: 339, is_custom_price: 1 }] });
+    assert.strictEqual(price(101, 'Flawless'), 339);
+    assert.strictEqual(price(103, 'Good'), 94);
+    assert.strictEqual(price(101, 'Brand New'), 400); // Pending row not pushed
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('--input changed-only export; failures land in the report', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-'));
+  try {
+    const input = path.join(dir, 'reusely_prices_changed_20260101_000000.csv');
+    fs.writeFileSync(input, [
+      'product_id,product_name,network_name,size_name,Brand New,Flawless,Good,Fair,Broken',
+      '102,iPhone 13 Unlocked 256GB,Unlocked,256GB,450,380,345,260,110',
+      '104,Pixel 7a Unlocked 128GB,Unlocked,128GB,200,180,165,120,40',
+      '103,iPhone SE (2nd Gen) Unlocked 64GB,Unlocked,64GB,120,100,110,70,30',
+    ].join('\n') + '\n');
+    mock.injectFault({ method: 'POST', path: '/admin/pricing', status: 503, times: 2 });
+
+    const report = path.join(dir, 'report.json');
+    const { code } = await runCli(['--input', input, '--report', report]);
+    assert.strictEqual(code, 1);
+
+    const out = JSON.parse(fs.readFileSync(report, 'utf8'));
+    assert.deepStrictEqual(out.summary, { updated: 1, unchanged: 0, failed: 1, skipped: 1 });
+    const byPid = Object.fromEntries(out.products.map(p => [p.product_id, p]));
+    assert.strictEqual(byPid[103].result, 'skipped');
+    assert.match(byPid[103].reason, /inverted condition ladder/);
+    assert.strictEqual(byPid[102].result, 'failed');
+    assert.strictEqual(byPid[102].httpStatus, 503);
+    assert.strictEqual(byPid[102].retries, 1);
+    assert.deepStrictEqual(byPid[102].payload.conditions, [{ name: 'Good', price: 345, is_custom_price: 1 }]);
+    assert.strictEqual(byPid[104].result, 'updated');
+    assert.strictEqual(price(104, 'Good'), 165);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('--input changed-only export: zero prices are ignored, max change is checked against live', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-'));
+  try {
+    const input = path.join(dir, 'reusely_prices_changed_20260101_000000.csv');
+    fs.writeFileSync(input, [
+      'product_id,product_name,network_name,size_name,Brand New,Flawless,Good,Fair,Broken',
+      '101,iPhone 13 Unlocked 128GB,Unlocked,128GB,400,350,305,250,0',
+      '104,Pixel 7a Unlocked 128GB,Unlocked,128GB,200,180,160,60,40',
+    ].join('\n') + '\n');
+    assert.strictEqual(push.proposalsFromValues(readRows(input), input)
+      .find(u => u.product_id === 101 && u.condition === 'Broken').price, null);
+
+    const report = path.join(dir, 'report.json');
+    const { code } = await runCli(['--input', input, '--report', report]);
+    assert.strictEqual(code, 0);
+
+    const out = JSON.parse(fs.readFileSync(report, 'utf8'));
+    assert.deepStrictEqual(out.summary, { updated: 1, unchanged: 1, failed: 0, skipped: 1 });
+    const p104 = out.products.find(p => p.product_id === 104);
+    assert.strictEqual(p104.result, 'skipped');
+    assert.match(p104.reason, /^Fair → 60: change -60 exceeds ±24 \(vs live\)$/);
+    assert.strictEqual(price(104, 'Fair'), 120);
+    assert.strictEqual(price(101, 'Good'), 305);
+    assert.strictEqual(price(101, 'Broken'), 100);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('--input changed-only export: the ladder is re-checked against live after grades are dropped', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-'));
+  try {
+    const input = path.join(dir, 'reusely_prices_changed_20260101_000000.csv');
+    fs.writeFileSync(input, [
+      'product_id,product_name,network_name,size_name,Brand New,Flawless,Good,Fair,Broken',
+      '104,Pixel 7a Unlocked 128GB,Unlocked,128GB,250,210,160,120,40', // New +50 is dropped, Flawless 210 > live New 200
+    ].join('\n') + '\n');
+    const report = path.join(dir, 'report.json');
+    const { code } = await runCli(['--input', input, '--report', report]);
+    assert.strictEqual(code, 0);
+
+    const out = JSON.parse(fs.readFileSync(report, 'utf8'));
+    assert.deepStrictEqual(out.products.map(p => p.result), ['skipped', 'skipped']);
+    assert.match(out.products[0].reason, /^New → 250: change 50 exceeds ±40 \(vs live\)$/);
+    assert.strictEqual(out.products[1].reason, 'inverted condition ladder vs live (Mint $210 > New $200)');
+    assert.strictEqual(price(104, 'Flawless'), 180);
+    assert.deepStrictEqual(push.ladderAgainstLive({ Flawless: 170 }, { 'brand new': 200, flawless: 180 }), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rows already applied are skipped', () => {
+  const values = [
+    ['RunId', 'Condition', 'ProposedPrice', 'Status', 'Approval', 'product_id', 'PushedAt'],
+    ['R2', 'Good', '309', 'CHASE #1 | DRY-RUN', 'Approved', '101', ''],
+    ['R2', 'Mint', '339', 'TRIM LEAD | DRY-RUN | APPLIED', 'Approved', '101', ''],
+    ['R2', 'Fair', '255', 'CHASE #1 | DRY-RUN', 'Approved', '101', '2026-01-01 00:00:00 UTC'],
+    ['R2', 'New', '410', 'NEW: TOP-$20 | APPLY FAILED (500)', 'Approved', '101', ''],
+  ];
+  const rows = push.proposalsFromValues(values, 'test');
+  assert.deepStrictEqual(rows.map(r => r.row), [2, 3, 4, 5]);
+
+  const { batch, skipped, applied } = push.applyFilters(rows);
+  assert.strictEqual(applied, 2);
+  assert.strictEqual(skipped, 1);
+  assert.deepStrictEqual(batch.filter(u => u.price != null).map(u => u.condition), ['Good']);
+});
+
+test('write-back updates Status and adds PushedAt in one batch', async () => {
+  let request = null;
+  const sheets = { spreadsheets: { values: { batchUpdate: async req => { request = req; } } } };
+  const header = ['When', 'Carrier', 'Model', 'Storage', 'Condition', 'Rank', 'Δ', 'CurrentPrice', 'ProposedPrice', 'Status'];
+
+  await push.writeBack(sheets, header, [
+    { row: 2, status: 'CHASE #1 | APPLIED', pushedAt: '2026-01-01 00:00:00 UTC' },
+    { row: 3, status: 'CHASE #1 | APPLY FAILED (500 boom)', pushedAt: '' },
+  ]);
+  assert.deepStrictEqual(request.requestBody.data, [
+    { range: "'Proposals'!K1", values: [['PushedAt']] },
+    { range: "'Proposals'!J2", values: [['CHASE #1 | APPLIED']] },
+    { range: "'Proposals'!K2", values: [['2026-01-01 00:00:00 UTC']] },
+    { range: "'Proposals'!J3", values: [['CHASE #1 | APPLY FAILED (500 boom)']] },
+  ]);
+  assert.strictEqual(request.requestBody.valueInputOption, 'RAW');
+});
+
+test('storage and carrier consistency fixes are allowed by default', () => {
+  assert.strictEqual(push.statusAllowed('STORAGE: 256GB < 128GB+$20 → FIXED (was 300) | DRY-RUN'), true);
+  assert.strictEqual(push.statusAllowed('UNLOCKED < AT&T+$0 → FIXED (was 300) | DRY-RUN'), true);
+  assert.strictEqual(push.statusAllowed('ABOVE UNLOCKED (catalog) $300-$0 | DRY-RUN'), false);
+});
+
+test('quarantined rows are denied by default', () => {
+  assert.strictEqual(push.statusAllowed('CHASE #1 | DRY-RUN'), true);
+  assert.strictEqual(push.statusAllowed('CHASE #1 | QUARANTINED: DUPLICATE ROW (report rows 5, 6) | DRY-RUN'), false);
+});